@@ -0,0 +1,77 @@
+import { Component } from '@theme/component';
+import { ProductFormComponent, InvalidLineItemPropertiesError } from '@theme/product-form';
+import { cartPerformance } from '@theme/performance';
+
+/**
+ * A custom element that adds the selections of the product forms around it to the cart in one go.
+ *
+ * Collects every `product-form-component` in the same section, e.g. the products of a "complete the look" list.
+ *
+ * @typedef {object} BundleFormRefs
+ * @property {HTMLButtonElement} addButton - The button adding the bundle to the cart.
+ * @property {HTMLElement} errorMessage - The error message.
+ * @property {HTMLElement} liveRegion - The live region.
+ *
+ * @extends Component<BundleFormRefs>
+ */
+class BundleFormComponent extends Component {
+  requiredRefs = ['addButton', 'errorMessage', 'liveRegion'];
+
+  /**
+   * The product forms whose selections make up the bundle.
+   * @returns {ProductFormComponent[]}
+   */
+  get productForms() {
+    const scope = this.closest('.shopify-section') ?? document;
+
+    return Array.from(scope.querySelectorAll('product-form-component')).filter(
+      /** @returns {form is ProductFormComponent} */
+      (form) => form instanceof ProductFormComponent && !form.closest('dialog')
+    );
+  }
+
+  /**
+   * Handles the click on the add button.
+   * @param {MouseEvent} event - The click event.
+   */
+  async handleSubmit(event) {
+    event.preventDefault();
+
+    const { addButton, errorMessage, liveRegion } = this.refs;
+
+    let lines;
+    try {
+      lines = this.productForms.map((form) => form.getCartLine()).filter((line) => line !== null);
+    } catch (error) {
+      // The errors are shown next to the fields, the bundle isn't added until they're fixed
+      if (error instanceof InvalidLineItemPropertiesError) return;
+      throw error;
+    }
+
+    if (!lines.length) return;
+
+    addButton.disabled = true;
+    errorMessage.classList.add('hidden');
+
+    try {
+      const response = await ProductFormComponent.addLines(lines, this);
+
+      if (response.status) {
+        errorMessage.textContent = response.message;
+        errorMessage.classList.remove('hidden');
+        liveRegion.textContent = response.message;
+      } else {
+        liveRegion.textContent = Theme.translations.added ?? '';
+      }
+    } catch (error) {
+      console.error(error);
+    } finally {
+      addButton.disabled = false;
+      cartPerformance.measureFromEvent('add-bundle:user-action', event);
+    }
+  }
+}
+
+if (!customElements.get('bundle-form-component')) {
+  customElements.define('bundle-form-component', BundleFormComponent);
+}
@@ -1,8 +1,8 @@
 import { Component } from '@theme/component';
 import { morphSection } from '@theme/section-renderer';
 import { DiscountUpdateEvent } from '@theme/events';
-import { fetchConfig } from '@theme/utilities';
 import { cartPerformance } from '@theme/performance';
+import { cartStore } from '@theme/cart-store';
 
 /**
  * A custom element that applies a discount to the cart.
@@ -60,19 +60,13 @@ class CartDiscount extends Component {
       cartDiscountErrorDiscountCode.classList.add('hidden');
       cartDiscountErrorShipping.classList.add('hidden');
 
-      const config = fetchConfig('json', {
-        body: JSON.stringify({
+      const data = await cartStore.update(
+        {
           discount: [...existingDiscounts, discountCodeValue].join(','),
           sections: [this.dataset.sectionId],
-        }),
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
-      });
-
-      const data = await response.json();
+        },
+        { signal: abortController.signal }
+      );
 
       if (
         data.discount_codes.find((/** @type {{ code: string; applicable: boolean; }} */ discount) => {
@@ -119,14 +113,12 @@ class CartDiscount extends Component {
 
   /**
    * Handles removing a discount from the cart.
-   * @param {MouseEvent | KeyboardEvent} event - The mouse or keyboard event in our pill.
+   * @param {MouseEvent} event - The click event in our pill.
    */
   removeDiscount = async (event) => {
-    event.preventDefault();
     event.stopPropagation();
 
     if (
-      (event instanceof KeyboardEvent && event.key !== 'Enter') ||
       !(event instanceof MouseEvent) ||
       !(event.target instanceof HTMLElement) ||
       typeof this.dataset.sectionId !== 'string'
@@ -149,16 +141,10 @@ class CartDiscount extends Component {
     const abortController = this.#createAbortController();
 
     try {
-      const config = fetchConfig('json', {
-        body: JSON.stringify({ discount: existingDiscounts.join(','), sections: [this.dataset.sectionId] }),
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
-      });
-
-      const data = await response.json();
+      const data = await cartStore.update(
+        { discount: existingDiscounts.join(','), sections: [this.dataset.sectionId] },
+        { signal: abortController.signal }
+      );
 
       document.dispatchEvent(new DiscountUpdateEvent(data, this.id));
       morphSection(this.dataset.sectionId, data.sections[this.dataset.sectionId]);
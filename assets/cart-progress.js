@@ -0,0 +1,157 @@
+import { Component } from '@theme/component';
+import { cartStore } from '@theme/cart-store';
+import { CartUpdateEvent, ThemeEvents } from '@theme/events';
+import { formatMoneyCents, prefersReducedMotion } from '@theme/utilities';
+
+/**
+ * A reward unlocked once the cart total reaches its threshold
+ * @typedef {Object} CartProgressTier
+ * @property {string} reward - The reward, e.g. "free shipping"
+ * @property {number} threshold - The cart total unlocking the reward, in cents
+ */
+
+/**
+ * A custom element that shows the progress of the cart towards its rewards, e.g. free shipping.
+ *
+ * The tiers are rendered by Liquid for the current market and currency. The progress is updated from the cart total
+ * of every cart update, and from the server-rendered total whenever the cart section is morphed.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLScriptElement} tiers - The JSON list of tiers.
+ * @property {HTMLTemplateElement} moneyFormat - The money format of the shop.
+ * @property {HTMLElement} message - The message describing the next reward.
+ * @property {HTMLElement} bar - The progress bar.
+ * @property {HTMLElement[]} [markers] - The markers of each tier on the progress bar.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartProgressComponent extends Component {
+  requiredRefs = ['tiers', 'moneyFormat', 'message', 'bar'];
+
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
+  /** The last rendered message, morphs reset the text without it having changed */
+  #text = '';
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    this.#unsubscribe = cartStore.subscribe((cart) => this.#render(cart.total_price));
+
+    this.#render(Number(this.dataset.cartTotal));
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    // The morphed markup carries the total the server just rendered
+    this.#render(Number(this.dataset.cartTotal));
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    this.#unsubscribe?.();
+  }
+
+  /**
+   * The tiers, sorted by threshold
+   * @returns {CartProgressTier[]}
+   */
+  get tiers() {
+    try {
+      /** @type {CartProgressTier[]} */
+      const tiers = JSON.parse(this.refs.tiers.textContent || '[]');
+
+      return tiers.filter((tier) => tier.threshold > 0).sort((a, b) => a.threshold - b.threshold);
+    } catch (_) {
+      return [];
+    }
+  }
+
+  /**
+   * Handles cart updates carrying the new cart.
+   * @param {CartUpdateEvent} event - The cart update event.
+   */
+  #handleCartUpdate = (event) => {
+    /** @type {{ total_price?: number }} */
+    const cart = event.detail.resource;
+
+    if (typeof cart.total_price === 'number') this.#render(cart.total_price);
+  };
+
+  /**
+   * Renders the progress for a cart total.
+   * @param {number} total - The cart total, in cents.
+   */
+  #render(total) {
+    if (Number.isNaN(total)) return;
+
+    const { message, bar, markers = [] } = this.refs;
+    const tiers = this.tiers;
+    const lastTier = tiers[tiers.length - 1];
+
+    if (!lastTier) {
+      this.hidden = true;
+      return;
+    }
+
+    const nextTier = tiers.find((tier) => tier.threshold > total);
+    const previousTier = tiers.filter((tier) => tier.threshold <= total).pop();
+
+    this.hidden = false;
+    this.dataset.cartTotal = String(total);
+    this.toggleAttribute('complete', !nextTier);
+    bar.style.setProperty('--cart-progress', String(Math.min(total / lastTier.threshold, 1)));
+    bar.setAttribute('aria-valuenow', String(Math.min(total, lastTier.threshold)));
+    bar.setAttribute('aria-valuemax', String(lastTier.threshold));
+
+    for (const marker of markers) {
+      const threshold = Number(marker.dataset.threshold);
+
+      marker.style.setProperty('--cart-progress-marker', String(threshold / lastTier.threshold));
+      marker.toggleAttribute('unlocked', threshold <= total);
+    }
+
+    const text = nextTier
+      ? (message.dataset.remainingTemplate ?? '')
+          .replace('[amount]', this.#formatMoney(nextTier.threshold - total))
+          .replace('[reward]', nextTier.reward)
+      : (message.dataset.completeTemplate ?? '').replace('[reward]', previousTier?.reward ?? '');
+
+    message.textContent = text;
+
+    if (text === this.#text) return;
+
+    const previousText = this.#text;
+    this.#text = text;
+
+    if (previousText && !prefersReducedMotion()) {
+      message.animate(
+        [
+          { opacity: 0, transform: 'translateY(25%)' },
+          { opacity: 1, transform: 'translateY(0)' },
+        ],
+        { duration: 200, easing: 'ease-out' }
+      );
+    }
+  }
+
+  /**
+   * Formats an amount with the money format of the shop.
+   * @param {number} cents - The amount, in cents.
+   * @returns {string} The formatted amount.
+   */
+  #formatMoney(cents) {
+    const template = this.refs.moneyFormat.content.textContent || '{{amount}}';
+
+    return formatMoneyCents(cents, template, this.dataset.currency ?? '');
+  }
+}
+
+if (!customElements.get('cart-progress-component')) {
+  customElements.define('cart-progress-component', CartProgressComponent);
+}
@@ -0,0 +1,74 @@
+import { Component } from '@theme/component';
+import { CartAddEvent } from '@theme/events';
+
+/**
+ * A custom element that shows complementary products for the latest product added to the cart.
+ *
+ * The rail itself is a `product-recommendations` element, reloaded whenever its product changes. Its recommendations
+ * are cached, so re-adding a product, or morphing the cart drawer, renders them again without another request.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} recommendations - The product recommendations element.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartRecommendationsComponent extends Component {
+  requiredRefs = ['recommendations'];
+
+  /**
+   * The ID of the product the recommendations are for
+   * @type {string | undefined}
+   */
+  #productId;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#productId = this.refs.recommendations.dataset.productId;
+    document.addEventListener(CartAddEvent.eventName, this.#handleCartAdd);
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    // The server renders the recommendations for the first cart line, which isn't the latest addition when an existing
+    // line was incremented
+    if (this.#productId) this.#showRecommendations(this.#productId);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(CartAddEvent.eventName, this.#handleCartAdd);
+  }
+
+  /**
+   * Handles products being added to the cart.
+   * @param {CartAddEvent} event - The cart add event.
+   */
+  #handleCartAdd = (event) => {
+    const { didError, productId, items } = event.detail.data;
+    const latestProductId = productId ?? items?.[0]?.productId;
+
+    if (didError || !latestProductId) return;
+
+    this.#showRecommendations(latestProductId);
+  };
+
+  /**
+   * Shows the recommendations for a product, the `product-recommendations` element reloads whenever its data changes,
+   * from its cache when the product is the same.
+   * @param {string} productId - The ID of the product.
+   */
+  #showRecommendations(productId) {
+    const { recommendations } = this.refs;
+
+    this.#productId = productId;
+    recommendations.dataset.recommendationsPerformed = 'false';
+    recommendations.dataset.productId = productId;
+  }
+}
+
+if (!customElements.get('cart-recommendations-component')) {
+  customElements.define('cart-recommendations-component', CartRecommendationsComponent);
+}
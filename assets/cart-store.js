@@ -0,0 +1,422 @@
+import { fetchConfig } from '@theme/utilities';
+
+/**
+ * @typedef {Object} CartLine
+ * @property {string} key - The unique key of the line
+ * @property {number} id - The variant ID of the line
+ * @property {number} product_id - The product ID of the line
+ * @property {number} quantity - The quantity of the line
+ * @property {number} final_price - The price of a single unit, after discounts
+ * @property {number} final_line_price - The price of the whole line, after discounts
+ * @property {Record<string, string>} [properties] - The line item properties
+ * @property {string} title - The title of the line
+ * @property {string} url - The URL of the line variant
+ * @property {string | null} image - The URL of the line image
+ */
+
+/**
+ * @typedef {Object} Cart
+ * @property {string | null} [note] - The cart note
+ * @property {number} item_count - The number of items in the cart
+ * @property {number} total_price - The total price of the cart, in cents
+ * @property {number} items_subtotal_price - The subtotal of the cart lines, in cents
+ * @property {string} currency - The currency of the cart
+ * @property {CartLine[]} items - The cart lines
+ */
+
+/**
+ * A line to add to the cart
+ * @typedef {Object} CartLineInput
+ * @property {number} id - The variant ID
+ * @property {number} quantity - The quantity to add
+ * @property {Record<string, string>} [properties] - The line item properties
+ */
+
+/**
+ * The response of a cart mutation: the cart itself, along with the requested `sections` or, on failure, the `errors`
+ * @typedef {Cart & Record<string, any>} CartResponse
+ */
+
+/**
+ * @typedef {(cart: Cart, previousCart: Cart | null) => void} CartSubscriber
+ */
+
+/**
+ * A cart write waiting in the mutation queue
+ * @typedef {Object} CartMutation
+ * @property {'change' | 'add' | 'update'} type - The kind of write
+ * @property {string} [mergeKey] - Consecutive mutations sharing this key are merged into a single request
+ * @property {Cart | null} snapshot - The cart before the first of the merged mutations was applied
+ * @property {(snapshot: Cart | null) => Promise<any>} run - Sends the request
+ * @property {{ resolve: (value: any) => void, reject: (reason: any) => void }[]} callers - The callers waiting on the result
+ */
+
+/**
+ * A client-side store holding the current cart, shared by all cart components.
+ *
+ * Quantity changes and removals are applied optimistically, before the request completes, and rolled back if it fails.
+ * Every other mutation updates the store once the server responds.
+ *
+ * Writes are sent one at a time, in the order they were made, so a slow response can never overwrite a newer one.
+ * Consecutive quantity changes to the same line are merged into a single request.
+ */
+class CartStore {
+  /**
+   * The current cart
+   * @type {Cart | null}
+   */
+  #cart = null;
+
+  /**
+   * The subscribers to cart changes
+   * @type {Set<CartSubscriber>}
+   */
+  #subscribers = new Set();
+
+  /**
+   * The pending refresh request
+   * @type {Promise<Cart> | null}
+   */
+  #pendingRefresh = null;
+
+  /**
+   * The mutations waiting to be sent, in order
+   * @type {CartMutation[]}
+   */
+  #queue = [];
+
+  /**
+   * The mutation currently being sent
+   * @type {CartMutation | null}
+   */
+  #activeMutation = null;
+
+  constructor() {
+    this.#cart = readInitialCart();
+
+    // Pages restored from the back/forward cache may hold a stale cart
+    window.addEventListener('pageshow', (event) => {
+      if (event.persisted) this.refresh();
+    });
+  }
+
+  /**
+   * The current cart, or null if it hasn't been loaded yet
+   * @returns {Cart | null}
+   */
+  get cart() {
+    return this.#cart;
+  }
+
+  /**
+   * The number of line quantity changes that have not completed yet
+   * @returns {number}
+   */
+  get pendingLineChanges() {
+    return [this.#activeMutation, ...this.#queue].filter((mutation) => mutation?.type === 'change').length;
+  }
+
+  /**
+   * Subscribes to cart changes
+   * @param {CartSubscriber} callback - The function to call whenever the cart changes
+   * @returns {() => void} A function that removes the subscription
+   */
+  subscribe(callback) {
+    this.#subscribers.add(callback);
+
+    return () => {
+      this.#subscribers.delete(callback);
+    };
+  }
+
+  /**
+   * Fetches the cart from the server
+   * @returns {Promise<Cart>} The current cart
+   */
+  refresh() {
+    this.#pendingRefresh ??= this.#fetchCart().finally(() => {
+      this.#pendingRefresh = null;
+    });
+
+    return this.#pendingRefresh;
+  }
+
+  /**
+   * Fetches the cart from the server and stores it
+   * @returns {Promise<Cart>} The current cart
+   */
+  async #fetchCart() {
+    const response = await fetch(`${Theme.routes.cart_url}.js`, { headers: { Accept: 'application/json' } });
+    /** @type {Cart} */
+    const cart = await response.json();
+
+    this.#setCart(cart);
+
+    return cart;
+  }
+
+  /**
+   * Changes the quantity of a cart line, a quantity of 0 removes the line
+   * @param {Object} config - The change to apply
+   * @param {number} config.line - The 1-based index of the line
+   * @param {number} config.quantity - The new quantity
+   * @param {Record<string, string>} [config.properties] - The new line item properties, replacing the current ones
+   * @param {string[]} [config.sections] - The sections to render in the response
+   * @returns {Promise<CartResponse>} The server response, which holds the errors if the change was rejected
+   */
+  changeLine({ line, quantity, properties, sections = [] }) {
+    const snapshot = this.#cart;
+
+    if (snapshot) this.#setCart(withLineQuantity(snapshot, line, quantity));
+
+    const optimisticCart = this.#cart;
+    const body = JSON.stringify({
+      line,
+      quantity,
+      properties,
+      sections: sections.join(','),
+      sections_url: window.location.pathname,
+    });
+
+    return this.#enqueue({
+      type: 'change',
+      // Property edits can't be merged, the latest request replaces the earlier ones
+      mergeKey: properties ? undefined : `line:${line}`,
+      snapshot,
+      run: async (snapshot) => {
+        try {
+          const response = await fetch(Theme.routes.cart_change_url, fetchConfig('json', { body }));
+          /** @type {CartResponse} */
+          const data = await response.json();
+
+          if (data.errors) {
+            this.#rollback(snapshot, optimisticCart);
+          } else {
+            this.#setCart(withoutSections(data));
+          }
+
+          return data;
+        } catch (error) {
+          this.#rollback(snapshot, optimisticCart);
+          throw error;
+        }
+      },
+    });
+  }
+
+  /**
+   * Adds items to the cart
+   * @param {FormData} formData - The product form data
+   * @returns {Promise<Record<string, any>>} The server response, which holds a `status` if the items could not be added
+   */
+  add(formData) {
+    return this.#enqueue({
+      type: 'add',
+      snapshot: this.#cart,
+      run: async () => {
+        const config = fetchConfig('javascript', { body: formData });
+
+        const response = await fetch(Theme.routes.cart_add_url, {
+          ...config,
+          headers: {
+            ...config.headers,
+            Accept: 'text/html',
+          },
+        });
+
+        try {
+          return await response.json();
+        } finally {
+          // The add endpoint doesn't return the cart, and may have added some items even when it fails. The cart is
+          // fetched before the next mutation is sent, so it can't overwrite a newer one.
+          await this.#fetchCart().catch(() => {});
+        }
+      },
+    });
+  }
+
+  /**
+   * Adds several lines to the cart in a single request. If any of them can't be added, none of them are.
+   * @param {CartLineInput[]} items - The lines to add
+   * @param {string[]} [sections] - The sections to render in the response
+   * @returns {Promise<Record<string, any>>} The server response, which holds a `status` if the items could not be added
+   */
+  addItems(items, sections = []) {
+    return this.#enqueue({
+      type: 'add',
+      snapshot: this.#cart,
+      run: async () => {
+        const body = JSON.stringify({ items, sections: sections.join(',') });
+        const response = await fetch(Theme.routes.cart_add_url, fetchConfig('json', { body }));
+
+        try {
+          return await response.json();
+        } finally {
+          await this.#fetchCart().catch(() => {});
+        }
+      },
+    });
+  }
+
+  /**
+   * Updates the cart note, attributes or discounts
+   * @param {Record<string, unknown>} body - The update to apply
+   * @param {Object} [options] - The options
+   * @param {AbortSignal} [options.signal] - A signal to abort the request
+   * @returns {Promise<CartResponse>} The server response, rejected with the error message if the update was rejected
+   */
+  update(body, { signal } = {}) {
+    return this.#enqueue({
+      type: 'update',
+      snapshot: this.#cart,
+      run: async () => {
+        const response = await fetch(Theme.routes.cart_update_url, {
+          ...fetchConfig('json', { body: JSON.stringify(body) }),
+          signal,
+        });
+
+        /** @type {CartResponse} */
+        const data = await response.json();
+
+        // The error payload, e.g. `{ status, message, description }`, isn't a cart and must not reach the subscribers
+        if (!response.ok || data.status) {
+          throw new Error(data.description || data.message || `Cart update failed with status ${response.status}`);
+        }
+
+        this.#setCart(withoutSections(data));
+
+        return data;
+      },
+    });
+  }
+
+  /**
+   * Adds a mutation to the queue, merging it into the last queued one if they share a merge key
+   * @param {Omit<CartMutation, 'callers'>} mutation - The mutation to add
+   * @returns {Promise<any>} The result of the request that carried the mutation
+   */
+  #enqueue({ type, mergeKey, snapshot, run }) {
+    return new Promise((resolve, reject) => {
+      const lastMutation = this.#queue[this.#queue.length - 1];
+
+      if (mergeKey && lastMutation?.mergeKey === mergeKey) {
+        // Only the latest request is sent, but the cart is rolled back to its state before the first one
+        lastMutation.run = run;
+        lastMutation.callers.push({ resolve, reject });
+      } else {
+        this.#queue.push({ type, mergeKey, snapshot, run, callers: [{ resolve, reject }] });
+      }
+
+      this.#processQueue();
+    });
+  }
+
+  /**
+   * Sends the queued mutations one at a time
+   */
+  async #processQueue() {
+    if (this.#activeMutation) return;
+
+    while ((this.#activeMutation = this.#queue.shift() ?? null)) {
+      const { run, snapshot, callers } = this.#activeMutation;
+
+      try {
+        const result = await run(snapshot);
+        callers.forEach(({ resolve }) => resolve(result));
+      } catch (error) {
+        callers.forEach(({ reject }) => reject(error));
+      }
+    }
+  }
+
+  /**
+   * Replaces the cart and notifies the subscribers
+   * @param {Cart} cart - The new cart
+   */
+  #setCart(cart) {
+    const previousCart = this.#cart;
+    this.#cart = cart;
+
+    for (const subscriber of this.#subscribers) {
+      try {
+        subscriber(cart, previousCart);
+      } catch (error) {
+        console.error(error);
+      }
+    }
+  }
+
+  /**
+   * Restores the cart to its state before an optimistic update
+   * @param {Cart | null} snapshot - The cart before the update
+   * @param {Cart | null} optimisticCart - The cart predicted by the update
+   */
+  #rollback(snapshot, optimisticCart) {
+    if (snapshot && this.#cart === optimisticCart) {
+      this.#setCart(snapshot);
+    } else {
+      // Later updates were applied on top of this one, so only the server knows the right state
+      this.refresh().catch(() => {});
+    }
+  }
+}
+
+/**
+ * Reads the cart rendered into the page by Liquid
+ * @returns {Cart | null} The cart, or null if the page doesn't include it
+ */
+function readInitialCart() {
+  const element = document.getElementById('cart-state');
+
+  if (!element?.textContent) return null;
+
+  try {
+    return JSON.parse(element.textContent);
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Predicts the cart after a line quantity change
+ * @param {Cart} cart - The current cart
+ * @param {number} line - The 1-based index of the line
+ * @param {number} quantity - The new quantity
+ * @returns {Cart} The predicted cart
+ */
+function withLineQuantity(cart, line, quantity) {
+  const target = cart.items[line - 1];
+
+  if (!target) return cart;
+
+  const quantityDelta = quantity - target.quantity;
+  const priceDelta = target.final_price * quantityDelta;
+
+  const items = cart.items.flatMap((item) => {
+    if (item !== target) return [item];
+    if (quantity === 0) return [];
+
+    return [{ ...item, quantity, final_line_price: item.final_price * quantity }];
+  });
+
+  return {
+    ...cart,
+    items,
+    item_count: cart.item_count + quantityDelta,
+    total_price: cart.total_price + priceDelta,
+    items_subtotal_price: cart.items_subtotal_price + priceDelta,
+  };
+}
+
+/**
+ * Strips the rendered sections from a cart response
+ * @param {CartResponse} data - The cart response
+ * @returns {Cart} The cart
+ */
+function withoutSections(data) {
+  const { sections, ...cart } = data;
+
+  return cart;
+}
+
+export const cartStore = new CartStore();
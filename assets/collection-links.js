@@ -3,6 +3,9 @@ import { closest, clamp, center, getVisibleElements } from '@theme/utilities';
 import { SlideshowSelectEvent } from '@theme/events';
 import { Scroller } from '@theme/scrolling';
 import { cycleFocus } from '@theme/focus';
+import { speculationRules } from '@theme/speculation-rules';
+import { prefetcher } from '@theme/prefetch';
+import { sectionRenderer } from '@theme/section-renderer';
 
 /**
  * Collection links component
@@ -21,6 +24,9 @@ class CollectionLinks extends Component {
   /** @type {Scroller} */
   #scroll;
 
+  /** @type {AbortController | null} */
+  #speculationAbortController = null;
+
   connectedCallback() {
     super.connectedCallback();
 
@@ -28,12 +34,25 @@ class CollectionLinks extends Component {
     this.addEventListener(SlideshowSelectEvent.eventName, this.#handleSlideshowSelect);
 
     this.#scroll = new Scroller(this.refs.container, { onScroll: this.#handleScroll });
+
+    this.#speculationAbortController = new AbortController();
+    for (const link of this.links) {
+      if (!(link instanceof HTMLAnchorElement)) continue;
+
+      speculationRules.observe(link, () => link.href, { signal: this.#speculationAbortController.signal });
+
+      // The collection page is fetched as soon as the customer points at the link
+      prefetcher.onIntent(link, () => prefetcher.prefetch(link.href, () => sectionRenderer.getPageHTML(link.href)), {
+        signal: this.#speculationAbortController.signal,
+      });
+    }
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
 
     this.#scroll.destroy();
+    this.#speculationAbortController?.abort();
   }
 
   get links() {
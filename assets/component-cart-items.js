@@ -1,6 +1,10 @@
 import { Component } from '@theme/component';
-import { fetchConfig, debounce, onAnimationEnd, prefersReducedMotion, resetShimmer } from '@theme/utilities';
+import { resetShimmer } from '@theme/utilities';
+import { leave } from '@theme/morph';
 import { morphSection, sectionRenderer } from '@theme/section-renderer';
+import { cartStore } from '@theme/cart-store';
+import { SavedForLater } from '@theme/saved-for-later';
+import { validateLineItemProperties } from '@theme/line-item-properties';
 import {
   ThemeEvents,
   CartUpdateEvent,
@@ -11,6 +15,7 @@ import {
 import { cartPerformance } from '@theme/performance';
 
 /** @typedef {import('./utilities').TextComponent} TextComponent */
+/** @typedef {import('./cart-store').CartResponse} CartResponse */
 
 /**
  * A custom element that displays a cart items component.
@@ -23,31 +28,36 @@ import { cartPerformance } from '@theme/performance';
  * @extends {Component<Refs>}
  */
 class CartItemsComponent extends Component {
-  #debouncedOnChange = debounce(this.#onQuantityChange, 300).bind(this);
+  /**
+   * Incremented on every quantity update, so only the response to the latest one is rendered.
+   * @type {number}
+   */
+  #latestUpdateId = 0;
 
   connectedCallback() {
     super.connectedCallback();
 
     document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
     document.addEventListener(ThemeEvents.discountUpdate, this.handleDiscountUpdate);
-    document.addEventListener(ThemeEvents.quantitySelectorUpdate, this.#debouncedOnChange);
+    document.addEventListener(ThemeEvents.quantitySelectorUpdate, this.#onQuantityChange);
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
 
     document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
-    document.removeEventListener(ThemeEvents.quantitySelectorUpdate, this.#debouncedOnChange);
+    document.removeEventListener(ThemeEvents.quantitySelectorUpdate, this.#onQuantityChange);
   }
 
   /**
    * Handles QuantitySelectorUpdateEvent change event.
+   * Rapid changes don't need debouncing, the cart store merges them into a single request.
    * @param {QuantitySelectorUpdateEvent} event - The event.
    */
-  #onQuantityChange(event) {
+  #onQuantityChange = (event) => {
     const { quantity, cartLine: line } = event.detail;
 
-    if (!line) return;
+    if (!line || !(event.target instanceof Node) || !this.contains(event.target)) return;
 
     if (quantity === 0) {
       return this.onLineItemRemove(line);
@@ -64,7 +74,7 @@ class CartItemsComponent extends Component {
 
     const textComponent = /** @type {TextComponent | undefined} */ (lineItemRow.querySelector('text-component'));
     textComponent?.shimmer();
-  }
+  };
 
   /**
    * Handles the line item removal.
@@ -87,17 +97,58 @@ class CartItemsComponent extends Component {
       ...this.refs.cartItemRows.filter((row) => row.dataset.parentKey === cartItemRowToRemove.dataset.key),
     ];
 
-    // Add class to the row to trigger the animation
-    rowsToRemove.forEach((row) => {
-      const remove = () => row.remove();
+    // Remove the rows after their leave animation, a morph of the cart skips them in the meantime
+    rowsToRemove.forEach((row) => leave(row));
+  }
+
+  /**
+   * Moves a line to the saved for later items.
+   * @param {number} line - The line item index.
+   */
+  onLineItemSaveForLater(line) {
+    const item = cartStore.cart?.items[line - 1];
+
+    if (!item) return;
+
+    SavedForLater.addItem({
+      key: item.key,
+      variantId: item.id,
+      productId: item.product_id,
+      quantity: item.quantity,
+      properties: item.properties ?? undefined,
+      title: item.title,
+      url: item.url,
+      image: item.image,
+    });
 
-      if (prefersReducedMotion()) return remove();
+    this.onLineItemRemove(line);
+  }
 
-      row.style.setProperty('--row-height', `${row.clientHeight}px`);
-      row.classList.add('removing');
+  /**
+   * Saves the line item properties edited in the cart.
+   * @param {number} line - The line item index.
+   * @param {MouseEvent & { target: HTMLElement }} event - The click event on the save button.
+   */
+  updateProperties(line, event) {
+    const editor = event.target.closest('.cart-items__properties-editor');
+    if (!(editor instanceof HTMLDetailsElement)) return;
+
+    // The errors are shown next to the fields, the properties aren't saved until they're fixed
+    if (!validateLineItemProperties(editor)) return;
+
+    /** @type {Record<string, string>} */
+    const properties = {};
+    for (const input of editor.querySelectorAll('[data-property-name]')) {
+      if (input instanceof HTMLInputElement || input instanceof HTMLTextAreaElement) {
+        properties[input.dataset.propertyName ?? ''] = input.value;
+      }
+    }
 
-      // Remove the row after the animation ends
-      onAnimationEnd(row, remove);
+    this.updateQuantity({
+      line,
+      quantity: Number(editor.dataset.quantity),
+      properties,
+      action: 'properties',
     });
   }
 
@@ -106,14 +157,18 @@ class CartItemsComponent extends Component {
    * @param {Object} config - The config.
    * @param {number} config.line - The line.
    * @param {number} config.quantity - The quantity.
+   * @param {Record<string, string>} [config.properties] - The line item properties, replacing the current ones.
    * @param {string} config.action - The action.
    */
   updateQuantity(config) {
     const cartPerformaceUpdateMarker = cartPerformance.createStartingMarker(`${config.action}:user-action`);
+    const updateId = ++this.#latestUpdateId;
 
-    this.#disableCartItems();
+    const { line, quantity, properties } = config;
+
+    // Removing a line shifts the index of the following lines, so they can't be edited until the cart is re-rendered
+    if (quantity === 0) this.#disableCartItems();
 
-    const { line, quantity } = config;
     const { cartTotal } = this.refs;
 
     const cartItemsComponents = document.querySelectorAll('cart-items-component');
@@ -124,21 +179,13 @@ class CartItemsComponent extends Component {
       }
     });
 
-    const body = JSON.stringify({
-      line: line,
-      quantity: quantity,
-      sections: Array.from(sectionsToUpdate).join(','),
-      sections_url: window.location.pathname,
-    });
-
     cartTotal?.shimmer();
 
-    fetch(`${Theme.routes.cart_change_url}`, fetchConfig('json', { body }))
-      .then((response) => {
-        return response.text();
-      })
-      .then((responseText) => {
-        const parsedResponseText = JSON.parse(responseText);
+    cartStore
+      .changeLine({ line, quantity, properties, sections: Array.from(sectionsToUpdate) })
+      .then((parsedResponseText) => {
+        // A newer quantity change is on its way and will render the final state
+        if (updateId !== this.#latestUpdateId || cartStore.pendingLineChanges > 0) return;
 
         resetShimmer(this);
 
@@ -157,7 +204,7 @@ class CartItemsComponent extends Component {
         const newCartItemCount = newCartHiddenItemCount ? parseInt(newCartHiddenItemCount, 10) : 0;
 
         this.dispatchEvent(
-          new CartUpdateEvent({}, this.sectionId, {
+          new CartUpdateEvent(parsedResponseText, this.sectionId, {
             itemCount: newCartItemCount,
             source: 'cart-items-component',
             sections: parsedResponseText.sections,
@@ -186,8 +233,7 @@ class CartItemsComponent extends Component {
   /**
    * Handles the cart error.
    * @param {number} line - The line.
-   * @param {Object} parsedResponseText - The parsed response text.
-   * @param {string} parsedResponseText.errors - The errors.
+   * @param {CartResponse} parsedResponseText - The parsed response text.
    */
   #handleCartError = (line, parsedResponseText) => {
     const quantitySelector = this.refs.quantitySelectors[line - 1];
@@ -214,16 +260,19 @@ class CartItemsComponent extends Component {
    */
   #handleCartUpdate = (event) => {
     if (event instanceof DiscountUpdateEvent) {
-      sectionRenderer.renderSection(this.sectionId, { cache: false });
+      renderCartItemsSections(event);
       return;
     }
     if (event.target === this) return;
 
+    // The response to the pending quantity change will include this update
+    if (cartStore.pendingLineChanges > 0) return;
+
     const cartItemsHtml = event.detail.data.sections?.[this.sectionId];
     if (cartItemsHtml) {
       morphSection(this.sectionId, cartItemsHtml);
     } else {
-      sectionRenderer.renderSection(this.sectionId, { cache: false });
+      renderCartItemsSections(event);
     }
   };
 
@@ -254,6 +303,33 @@ class CartItemsComponent extends Component {
   }
 }
 
+/**
+ * The cart events whose sections were rendered, every cart items component of the page handles them
+ * @type {WeakSet<Event>}
+ */
+const renderedEvents = new WeakSet();
+
+/**
+ * Renders the sections of the cart items after a cart update, e.g. the cart drawer and the cart page, in a single
+ * request. The sections that come with the event, and the one of the component it was dispatched from, are skipped.
+ *
+ * @param {DiscountUpdateEvent | CartUpdateEvent | CartAddEvent} event - The cart update event.
+ */
+function renderCartItemsSections(event) {
+  if (renderedEvents.has(event)) return;
+  renderedEvents.add(event);
+
+  /** @type {Record<string, string>} */
+  let sections = {};
+  if (!(event instanceof DiscountUpdateEvent)) sections = event.detail.data.sections ?? {};
+  const sectionIds = Array.from(document.querySelectorAll('cart-items-component'))
+    .filter((cartItems) => cartItems instanceof CartItemsComponent && cartItems !== event.target)
+    .map((cartItems) => /** @type {CartItemsComponent} */ (cartItems).sectionId)
+    .filter((sectionId) => !sections[sectionId]);
+
+  sectionRenderer.renderSections(sectionIds, { cache: false });
+}
+
 if (!customElements.get('cart-items-component')) {
   customElements.define('cart-items-component', CartItemsComponent);
 }
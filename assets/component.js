@@ -1,5 +1,6 @@
 import { DeclarativeShadowElement } from '@theme/critical';
-import { requestIdleCallback } from '@theme/utilities';
+import { devMode } from '@theme/dev-mode';
+import { debounce, requestIdleCallback } from '@theme/utilities';
 
 /**
  * @typedef {Record<string, Element | Element[] | undefined>} Refs
@@ -10,13 +11,19 @@ import { requestIdleCallback } from '@theme/utilities';
  * @typedef {T & Refs} RefsType
  */
 
+/**
+ * @typedef {Record<string, any>} State
+ */
+
 /**
  * Base class that powers our custom web components.
  *
  * Manages references to child elements with `ref` attributes and sets up mutation observers to keep
- * the refs updated when the DOM changes. Also handles declarative event listeners using.
+ * the refs updated when the DOM changes. Also handles declarative event listeners using `on:` attributes,
+ * and an optional reactive state bound to elements with `bind:` attributes.
  *
  * @template {Refs} [T=Refs]
+ * @template {State} [S=State]
  * @extends {DeclarativeShadowElement}
  */
 export class Component extends DeclarativeShadowElement {
@@ -34,6 +41,72 @@ export class Component extends DeclarativeShadowElement {
    */
   requiredRefs;
 
+  /**
+   * The reactive state, created when it's first used.
+   *
+   * @type {S | undefined}
+   */
+  #state;
+
+  /**
+   * The elements of the component with `bind:` attributes, found when the state is rendered.
+   *
+   * @type {Element[] | undefined}
+   */
+  #boundElements;
+
+  /**
+   * Resolves when the pending state changes are rendered.
+   *
+   * @type {Promise<void>}
+   */
+  #stateRendered = Promise.resolve();
+
+  #renderScheduled = false;
+
+  /**
+   * The reactive state of the component.
+   *
+   * Setting one of its properties, or the whole state, updates the elements of the component bound to it
+   * in the next microtask, with the changes of the same tick batched together:
+   * - `bind:text="state.count"` sets the text of the element.
+   * - `bind:class="is-open: state.open, is-empty: !state.count"` toggles classes.
+   * - `bind:hidden="!state.open"` sets an attribute, e.g. `hidden`, `aria-expanded` or `checked`.
+   *
+   * The expressions are a property of the state, optionally negated with `!` or compared to a literal with
+   * `===` or `!==`. Anything else is computed by a getter of the state, which is evaluated again on every render:
+   * `this.state = { count: 0, get empty() { return this.count === 0; } }` for `bind:hidden="state.empty"`.
+   * The state is shallow: replace the objects it holds rather than mutating them.
+   * The bindings are rendered again after a morph, so the state survives the Section Rendering API.
+   *
+   * @returns {S} The state.
+   */
+  get state() {
+    this.#state ??= this.#createState(/** @type {S} */ ({}));
+
+    return this.#state;
+  }
+
+  /**
+   * @param {S} state - The new state.
+   */
+  set state(state) {
+    // The descriptors are copied rather than the values, so the computed getters stay getters
+    const copy = Object.defineProperties({}, Object.getOwnPropertyDescriptors(state));
+
+    this.#state = this.#createState(/** @type {S} */ (copy));
+    this.#scheduleRender();
+  }
+
+  /**
+   * A promise that resolves when the state changes are rendered, e.g. before focusing an element they show.
+   *
+   * @returns {Promise<void>} The promise.
+   */
+  get stateRendered() {
+    return this.#stateRendered;
+  }
+
   /**
    * Gets the root node of the component, which is either its shadow root or the component itself.
    *
@@ -51,11 +124,13 @@ export class Component extends DeclarativeShadowElement {
   connectedCallback() {
     super.connectedCallback();
     registerEventListeners();
+    devMode.register(this);
 
     this.#updateRefs();
 
     requestIdleCallback(() => {
       for (const root of this.roots) {
+        registerBindings(root);
         this.#mutationObserver.observe(root, {
           childList: true,
           subtree: true,
@@ -73,6 +148,12 @@ export class Component extends DeclarativeShadowElement {
   updatedCallback() {
     this.#mutationObserver.takeRecords();
     this.#updateRefs();
+
+    for (const root of this.roots) registerBindings(root);
+
+    // The morph reset the bound elements to the server markup
+    this.#boundElements = undefined;
+    if (this.#state) this.#renderState();
   }
 
   /**
@@ -82,6 +163,7 @@ export class Component extends DeclarativeShadowElement {
    */
   disconnectedCallback() {
     this.#mutationObserver.disconnect();
+    devMode.unregister(this);
   }
 
   /**
@@ -118,7 +200,10 @@ export class Component extends DeclarativeShadowElement {
     if (this.requiredRefs?.length) {
       for (const ref of this.requiredRefs) {
         if (!(ref in refs)) {
-          throw new MissingRefError(ref, this);
+          const error = new MissingRefError(ref, this);
+
+          devMode.report(this, error);
+          throw error;
         }
       }
     }
@@ -140,9 +225,77 @@ export class Component extends DeclarativeShadowElement {
       )
     ) {
       this.#updateRefs();
+      this.#boundElements = undefined;
     }
   });
 
+  /**
+   * Creates the proxy that renders the state when it changes.
+   *
+   * @param {S} state - The state.
+   * @returns {S} The reactive state.
+   */
+  #createState(state) {
+    return new Proxy(state, {
+      set: (target, property, value) => {
+        if (Reflect.get(target, property) !== value) {
+          Reflect.set(target, property, value);
+          this.#scheduleRender();
+        }
+
+        return true;
+      },
+      deleteProperty: (target, property) => {
+        Reflect.deleteProperty(target, property);
+        this.#scheduleRender();
+
+        return true;
+      },
+    });
+  }
+
+  /**
+   * Renders the state in the next microtask, once for all the changes of the current tick.
+   */
+  #scheduleRender() {
+    if (this.#renderScheduled) return;
+
+    this.#renderScheduled = true;
+    this.#stateRendered = new Promise((resolve) => {
+      queueMicrotask(() => {
+        this.#renderScheduled = false;
+        this.#renderState();
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Updates the elements bound to the state.
+   */
+  #renderState() {
+    const state = this.#state;
+    if (!state) return;
+
+    this.#boundElements ??= this.roots
+      .flatMap((root) => Array.from(root.querySelectorAll('*')))
+      .concat(this)
+      .filter((element) => hasStateBindings(element) && (element === this || this.#isDescendant(element)));
+
+    for (const element of this.#boundElements) {
+      for (const attribute of element.getAttributeNames()) {
+        if (!attribute.startsWith('bind:')) continue;
+
+        try {
+          applyStateBinding(element, attribute, element.getAttribute(attribute) ?? '', state);
+        } catch (error) {
+          console.error(error);
+          devMode.report(this, error);
+        }
+      }
+    }
+  }
+
   /**
    * Checks if a given node is a descendant of this component.
    *
@@ -184,11 +337,90 @@ function getClosestComponent(node) {
   return null;
 }
 
+/**
+ * @typedef {Object} EventBinding
+ * @property {string} eventName - The name of the event, e.g. `keydown` or `cart:update`
+ * @property {string} selector - The selector of the component, the closest one when empty
+ * @property {string} method - The name of the method of the component
+ * @property {Data | null} data - The data passed to the method before the event
+ * @property {string[]} keys - The keys a keyboard event must be for, any key when empty
+ * @property {boolean} prevent - Whether to prevent the default action of the event
+ * @property {boolean} once - Whether to only call the method the first time
+ * @property {boolean} self - Whether to only call the method when the event is dispatched on the element itself
+ * @property {boolean} outside - Whether to call the method when the event is dispatched outside of the element instead
+ * @property {number | undefined} debounce - The number of milliseconds to debounce the method by
+ */
+
+/**
+ * The key names that can filter keyboard events, e.g. `on:keydown.enter`, by their `KeyboardEvent.key` value
+ * @type {Record<string, string>}
+ */
+const KEY_MODIFIERS = {
+  enter: 'Enter',
+  escape: 'Escape',
+  esc: 'Escape',
+  space: ' ',
+  tab: 'Tab',
+  up: 'ArrowUp',
+  down: 'ArrowDown',
+  left: 'ArrowLeft',
+  right: 'ArrowRight',
+  home: 'Home',
+  end: 'End',
+  delete: 'Delete',
+  backspace: 'Backspace',
+};
+
+const events = ['click', 'change', 'select', 'focus', 'blur', 'submit', 'input', 'keydown', 'keyup', 'toggle'];
+const shouldBubble = ['focus', 'blur'];
+const expensiveEvents = ['pointerenter', 'pointerleave'];
+
+/**
+ * The events that are listened to, the ones above and the custom ones found in the components
+ * @type {Set<string>}
+ */
+const listenedEvents = new Set();
+
+/**
+ * The elements with bindings that aren't found from the target of the event: the `.outside` ones, and the custom
+ * events dispatched on the document or the window, e.g. `on:cart:update`. By event name.
+ * @type {Map<string, Set<Element>>}
+ */
+const globalBindings = new Map();
+
+/**
+ * The parsed bindings, or the error of the malformed ones, by attribute and value
+ * @type {Map<string, EventBinding | EventBindingError>}
+ */
+const parsedBindings = new Map();
+
+/**
+ * The `.once` bindings that were called, by element
+ * @type {WeakMap<Element, Set<string>>}
+ */
+const calledBindings = new WeakMap();
+
+/**
+ * The debounced methods of the `.debounce` bindings, by element
+ * @type {WeakMap<Element, Map<string, (event: Event) => void>>}
+ */
+const debouncedBindings = new WeakMap();
+
 /**
  * Initializes the event listeners for custom event handling.
  *
  * Sets up event listeners for specified events and delegates the handling of those events
  * to methods defined on the closest `Component` instance, based on custom attributes.
+ *
+ * The attributes take modifiers after the event name, e.g. `on:keydown.enter.prevent="/method"`:
+ * - `.prevent` prevents the default action of the event
+ * - `.once` only calls the method the first time
+ * - `.self` only calls the method when the event is dispatched on the element itself
+ * - `.outside` calls the method when the event is dispatched outside of the element instead
+ * - `.debounce.300` debounces the method by 300 milliseconds
+ * - key names, e.g. `.enter` or `.escape`, only call the method for these keys
+ *
+ * Custom events are supported too, e.g. `on:cart:update="/method"`.
  */
 let initialized = false;
 
@@ -196,90 +428,528 @@ function registerEventListeners() {
   if (initialized) return;
   initialized = true;
 
-  const events = ['click', 'change', 'select', 'focus', 'blur', 'submit', 'input', 'keydown', 'keyup', 'toggle'];
-  const shouldBubble = ['focus', 'blur'];
-  const expensiveEvents = ['pointerenter', 'pointerleave'];
-
   for (const eventName of [...events, ...expensiveEvents]) {
-    const attribute = `on:${eventName}`;
+    listenedEvents.add(eventName);
+    document.addEventListener(eventName, handleEvent, { capture: true });
+  }
+}
 
-    document.addEventListener(
-      eventName,
-      (event) => {
-        const element = getElement(event);
+/**
+ * Finds the bindings of the custom events and the `.outside` bindings of a component, which can't be found from the
+ * target of the event. Also reports the malformed bindings early.
+ *
+ * Only the component's own elements are scanned, the nested components register theirs when they're connected or
+ * updated.
+ *
+ * @param {Element | ShadowRoot} root - The tree of the component.
+ */
+function registerBindings(root) {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT, (node) =>
+    getClosestComponent(node) === node ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT
+  );
+  const elements = root instanceof Element ? [root] : [];
 
-        if (!element) return;
+  while (walker.nextNode()) elements.push(/** @type {Element} */ (walker.currentNode));
 
-        const proxiedEvent =
-          event.target !== element
-            ? new Proxy(event, {
-                get(target, property) {
-                  if (property === 'target') return element;
+  for (const element of elements) {
+    for (const attribute of element.getAttributeNames()) {
+      if (!attribute.startsWith('on:')) continue;
 
-                  const value = Reflect.get(target, property);
+      const binding = getBinding(attribute, element.getAttribute(attribute) ?? '');
 
-                  if (typeof value === 'function') {
-                    return value.bind(target);
-                  }
+      if (binding instanceof EventBindingError) {
+        console.error(binding);
+        reportProblem(element, binding);
+        continue;
+      }
+
+      if (devMode.enabled) checkMethod(element, attribute, binding);
 
-                  return value;
-                },
-              })
-            : event;
+      const { eventName, outside } = binding;
+
+      if (!listenedEvents.has(eventName)) {
+        // Listened on the window to also get the events dispatched on the window and the document
+        listenedEvents.add(eventName);
+        window.addEventListener(eventName, handleEvent, { capture: true });
+      }
 
-        const value = element.getAttribute(attribute) ?? '';
-        let [selector, method] = value.split('/');
-        // Extract the last segment of the attribute value delimited by `?` or `/`
-        // Do not use lookback for Safari 16.0 compatibility
-        const matches = value.match(/([\/\?][^\/\?]+)([\/\?][^\/\?]+)$/);
-        const data = matches ? matches[2] : null;
-        const instance = selector
-          ? selector.startsWith('#')
-            ? document.querySelector(selector)
-            : element.closest(selector)
-          : getClosestComponent(element);
+      if (outside || !events.includes(eventName)) {
+        const elements = globalBindings.get(eventName) ?? new Set();
 
-        if (!(instance instanceof Component) || !method) return;
+        elements.add(element);
+        globalBindings.set(eventName, elements);
+      }
+    }
+  }
+}
 
-        method = method.replace(/\?.*/, '');
+/**
+ * Calls the methods bound to an event.
+ *
+ * @param {Event} event - The event.
+ */
+function handleEvent(event) {
+  const target = event.composedPath?.()[0] ?? event.target;
+  const element = getElement(event);
 
-        const callback = /** @type {any} */ (instance)[method];
+  if (element) {
+    for (const [attribute, binding] of getBindings(element, event.type)) {
+      if (!binding.outside) callBinding(element, attribute, binding, event);
+    }
+  }
 
-        if (typeof callback === 'function') {
-          try {
-            /** @type {(Event | Data)[]} */
-            const args = [proxiedEvent];
+  const elements = globalBindings.get(event.type);
+  if (!elements) return;
 
-            if (data) args.unshift(parseData(data));
+  for (const globalElement of elements) {
+    if (!globalElement.isConnected) {
+      elements.delete(globalElement);
+      continue;
+    }
 
-            callback.call(instance, ...args);
-          } catch (error) {
-            console.error(error);
-          }
+    for (const [attribute, binding] of getBindings(globalElement, event.type)) {
+      if (binding.outside) {
+        if (target instanceof Node && !globalElement.contains(target)) {
+          callBinding(globalElement, attribute, binding, event);
         }
-      },
-      { capture: true }
-    );
+      } else if (!(target instanceof Element) || (event.bubbles && globalElement !== element)) {
+        // Custom events dispatched on the document or the window, or bubbling up to them from an element, are for
+        // every element bound to them. The closest one to the target was already called above.
+        callBinding(globalElement, attribute, binding, event);
+      }
+    }
+  }
+}
+
+/**
+ * Gets the closest element bound to an event from its target.
+ *
+ * @param {Event} event - The event.
+ * @returns {Element | null} The element.
+ */
+function getElement(event) {
+  const target = event.composedPath?.()[0] ?? event.target;
+
+  if (!(target instanceof Element)) return null;
+
+  if (hasBindings(target, event.type)) {
+    return target;
+  }
+
+  if (expensiveEvents.includes(event.type)) {
+    return null;
+  }
+
+  if (!event.bubbles && !shouldBubble.includes(event.type)) return null;
+
+  for (let element = target.parentElement; element; element = element.parentElement) {
+    if (hasBindings(element, event.type)) return element;
+  }
+
+  return null;
+}
+
+/**
+ * @param {Element} element - The element.
+ * @param {string} eventName - The name of the event.
+ * @returns {boolean} Whether the element has attributes bound to the event, with or without modifiers.
+ */
+function hasBindings(element, eventName) {
+  const attribute = `on:${eventName}`;
+
+  return (
+    element.hasAttribute(attribute) || element.getAttributeNames().some((name) => name.startsWith(`${attribute}.`))
+  );
+}
+
+/**
+ * Gets the valid bindings of an element to an event.
+ *
+ * @param {Element} element - The element.
+ * @param {string} eventName - The name of the event.
+ * @returns {[string, EventBinding][]} The attributes and their bindings.
+ */
+function getBindings(element, eventName) {
+  /** @type {[string, EventBinding][]} */
+  const bindings = [];
+
+  for (const attribute of element.getAttributeNames()) {
+    if (attribute !== `on:${eventName}` && !attribute.startsWith(`on:${eventName}.`)) continue;
+
+    const binding = getBinding(attribute, element.getAttribute(attribute) ?? '');
+
+    if (binding instanceof EventBindingError) {
+      console.error(binding);
+      reportProblem(element, binding);
+    } else if (binding.eventName === eventName) {
+      bindings.push([attribute, binding]);
+    }
   }
 
+  return bindings;
+}
+
+/**
+ * Gets the parsed binding of an attribute.
+ *
+ * @param {string} attribute - The name of the attribute, e.g. `on:keydown.enter.prevent`.
+ * @param {string} value - The value of the attribute, e.g. `/method`.
+ * @returns {EventBinding | EventBindingError} The binding, or the error if it's malformed.
+ */
+function getBinding(attribute, value) {
+  const key = `${attribute}=${value}`;
+  let binding = parsedBindings.get(key);
+
+  if (!binding) {
+    try {
+      binding = parseBinding(attribute, value);
+    } catch (error) {
+      binding = error instanceof EventBindingError ? error : new EventBindingError(attribute, value, String(error));
+    }
+
+    parsedBindings.set(key, binding);
+  }
+
+  return binding;
+}
+
+/**
+ * Gets the component whose method an event binding calls.
+ *
+ * @param {Element} element - The element the binding is on.
+ * @param {EventBinding} binding - The binding.
+ * @returns {Element | null} The component.
+ */
+function getBindingInstance(element, { selector }) {
+  if (!selector) return getClosestComponent(element);
+
+  return selector.startsWith('#') ? document.querySelector(selector) : element.closest(selector);
+}
+
+/**
+ * Reports an event binding that points at a method that doesn't exist, in dev mode.
+ *
+ * @param {Element} element - The element the binding is on.
+ * @param {string} attribute - The name of the attribute.
+ * @param {EventBinding} binding - The binding.
+ */
+function checkMethod(element, attribute, binding) {
+  const instance = getBindingInstance(element, binding);
+
+  // The components that aren't defined yet are checked when they are
+  if (!(instance instanceof Component)) return;
+
+  if (typeof (/** @type {any} */ (instance)[binding.method]) !== 'function') {
+    const value = element.getAttribute(attribute);
+
+    devMode.report(instance, `${attribute}="${value}" points at a method "${binding.method}" that doesn't exist`);
+  }
+}
+
+/**
+ * Reports a problem with an element to its component, in dev mode.
+ *
+ * @param {Element} element - The element.
+ * @param {unknown} problem - The problem.
+ */
+function reportProblem(element, problem) {
+  const component = getClosestComponent(element);
+
+  if (component instanceof Component) devMode.report(component, problem);
+}
+
+/**
+ * Parses an event binding attribute.
+ *
+ * @param {string} attribute - The name of the attribute, e.g. `on:keydown.enter.prevent`.
+ * @param {string} value - The value of the attribute, e.g. `/method`.
+ * @returns {EventBinding} The binding.
+ */
+function parseBinding(attribute, value) {
+  const [eventName = '', ...modifiers] = attribute.slice('on:'.length).split('.');
+
+  if (!eventName) throw new EventBindingError(attribute, value, 'the event name is missing');
+
+  /** @type {EventBinding} */
+  const binding = {
+    eventName,
+    selector: '',
+    method: '',
+    data: null,
+    keys: [],
+    prevent: false,
+    once: false,
+    self: false,
+    outside: false,
+    debounce: undefined,
+  };
+
+  for (let i = 0; i < modifiers.length; i++) {
+    const modifier = modifiers[i] ?? '';
+
+    if (modifier === 'prevent' || modifier === 'once' || modifier === 'self' || modifier === 'outside') {
+      binding[modifier] = true;
+    } else if (modifier === 'debounce') {
+      const wait = Number(modifiers[i + 1]);
+
+      if (!modifiers[i + 1] || !Number.isInteger(wait) || wait < 0) {
+        throw new EventBindingError(attribute, value, '`debounce` must be followed by a number of milliseconds');
+      }
+
+      binding.debounce = wait;
+      i++;
+    } else if (KEY_MODIFIERS[modifier]) {
+      binding.keys.push(KEY_MODIFIERS[modifier]);
+    } else {
+      throw new EventBindingError(attribute, value, `unknown modifier \`${modifier}\``);
+    }
+  }
+
+  if (binding.self && binding.outside) {
+    throw new EventBindingError(attribute, value, "`self` and `outside` can't be combined");
+  }
+
+  if (!value.includes('/')) {
+    throw new EventBindingError(attribute, value, 'the value must be a method, e.g. `/method` or `selector/method`');
+  }
+
+  const [selector = '', method = ''] = value.split('/');
+  // Extract the last segment of the attribute value delimited by `?` or `/`
+  // Do not use lookback for Safari 16.0 compatibility
+  const matches = value.match(/([\/\?][^\/\?]+)([\/\?][^\/\?]+)$/);
+
+  binding.selector = selector;
+  binding.method = method.replace(/\?.*/, '');
+  binding.data = matches?.[2] ? parseData(matches[2]) : null;
+
+  if (!binding.method) throw new EventBindingError(attribute, value, 'the method name is missing');
+
+  return binding;
+}
+
+/**
+ * Calls the method of a binding, if the event passes its modifiers.
+ *
+ * @param {Element} element - The element the binding is on.
+ * @param {string} attribute - The name of the attribute.
+ * @param {EventBinding} binding - The binding.
+ * @param {Event} event - The event.
+ */
+function callBinding(element, attribute, binding, event) {
+  const target = event.composedPath?.()[0] ?? event.target;
+
+  if (binding.self && target !== element) return;
+  if (binding.keys.length && !(event instanceof KeyboardEvent && binding.keys.includes(event.key))) return;
+
+  if (binding.once) {
+    const called = calledBindings.get(element) ?? new Set();
+    if (called.has(attribute)) return;
+
+    called.add(attribute);
+    calledBindings.set(element, called);
+  }
+
+  if (binding.prevent) event.preventDefault();
+
+  const { method, data } = binding;
+  const instance = getBindingInstance(element, binding);
+
+  if (!(instance instanceof Component)) return;
+
+  const callback = /** @type {any} */ (instance)[method];
+
+  if (typeof callback !== 'function') return;
+
+  const proxiedEvent =
+    event.target !== element && !binding.outside
+      ? new Proxy(event, {
+          get(target, property) {
+            if (property === 'target') return element;
+
+            const value = Reflect.get(target, property);
+
+            if (typeof value === 'function') {
+              return value.bind(target);
+            }
+
+            return value;
+          },
+        })
+      : event;
+
   /** @param {Event} event */
-  function getElement(event) {
-    const target = event.composedPath?.()[0] ?? event.target;
+  const call = (event) => {
+    try {
+      /** @type {(Event | Data)[]} */
+      const args = [event];
 
-    if (!(target instanceof Element)) return;
+      if (data !== null) args.unshift(data);
 
-    if (target.hasAttribute(`on:${event.type}`)) {
-      return target;
+      const result = callback.call(instance, ...args);
+
+      // Most handlers are async, their errors are rejections rather than throws
+      if (result instanceof Promise) {
+        result.catch((error) => {
+          console.error(error);
+          devMode.report(instance, error);
+        });
+      }
+    } catch (error) {
+      console.error(error);
+      devMode.report(instance, error);
     }
+  };
+
+  if (binding.debounce === undefined) return call(proxiedEvent);
+
+  const debouncedMethods = debouncedBindings.get(element) ?? new Map();
+  let debounced = debouncedMethods.get(attribute);
+
+  if (!debounced) {
+    debounced = debounce(call, binding.debounce);
+    debouncedMethods.set(attribute, debounced);
+    debouncedBindings.set(element, debouncedMethods);
+  }
+
+  debounced(proxiedEvent);
+}
+
+/**
+ * The properties set on the element rather than its attribute, as the attribute is only their default value
+ * @type {string[]}
+ */
+const BOUND_PROPERTIES = ['checked', 'disabled', 'hidden', 'open', 'selected', 'value'];
+
+/**
+ * The parsed state binding expressions, by expression
+ * @type {Map<string, (state: State) => unknown>}
+ */
+const parsedExpressions = new Map();
+
+/**
+ * @param {Element} element - The element.
+ * @returns {boolean} Whether the element has `bind:` attributes.
+ */
+function hasStateBindings(element) {
+  return element.getAttributeNames().some((name) => name.startsWith('bind:'));
+}
+
+/**
+ * Updates an element bound to the state.
+ *
+ * @param {Element} element - The element.
+ * @param {string} attribute - The name of the binding attribute, e.g. `bind:hidden`.
+ * @param {string} expression - The expression, e.g. `!state.open`.
+ * @param {State} state - The state.
+ */
+function applyStateBinding(element, attribute, expression, state) {
+  const name = attribute.slice('bind:'.length);
 
-    if (expensiveEvents.includes(event.type)) {
-      return null;
+  if (name === 'class') {
+    for (const binding of expression.split(',')) {
+      const separator = binding.lastIndexOf(':');
+      const className = binding.slice(0, separator).trim();
+
+      if (separator === -1 || !className) {
+        throw new StateBindingError(attribute, expression, 'expected `class-name: expression` pairs');
+      }
+
+      element.classList.toggle(className, Boolean(evaluate(attribute, binding.slice(separator + 1), state)));
     }
 
-    return event.bubbles || shouldBubble.includes(event.type) ? target.closest(`[on\\:${event.type}]`) : null;
+    return;
+  }
+
+  const value = evaluate(attribute, expression, state);
+
+  if (name === 'text') {
+    const text = value == null ? '' : String(value);
+    if (element.textContent !== text) element.textContent = text;
+  } else if (BOUND_PROPERTIES.includes(name) && name in element) {
+    const propertyValue = name === 'value' ? String(value ?? '') : Boolean(value);
+    if (Reflect.get(element, name) !== propertyValue) Reflect.set(element, name, propertyValue);
+  } else if (name.startsWith('aria-') && typeof value === 'boolean') {
+    element.setAttribute(name, String(value));
+  } else if (value == null || value === false) {
+    element.removeAttribute(name);
+  } else {
+    element.setAttribute(name, value === true ? '' : String(value));
   }
 }
 
+/**
+ * Evaluates a state binding expression.
+ *
+ * @param {string} attribute - The name of the binding attribute.
+ * @param {string} expression - The expression, e.g. `!state.open` or `state.mode === 'recipient'`.
+ * @param {State} state - The state.
+ * @returns {unknown} The value of the expression.
+ */
+function evaluate(attribute, expression, state) {
+  let evaluator = parsedExpressions.get(expression);
+
+  if (!evaluator) {
+    evaluator = parseExpression(attribute, expression);
+    parsedExpressions.set(expression, evaluator);
+  }
+
+  return evaluator(state);
+}
+
+/**
+ * Parses a state binding expression.
+ *
+ * @param {string} attribute - The name of the binding attribute.
+ * @param {string} expression - The expression.
+ * @returns {(state: State) => unknown} The function that evaluates the expression.
+ */
+function parseExpression(attribute, expression) {
+  const matches = expression.match(/^\s*(!*)\s*state((?:\.[\w$]+)+)\s*(?:(===|!==)\s*(.+?))?\s*$/);
+
+  if (!matches) {
+    throw new StateBindingError(attribute, expression, 'expected a property of the state, e.g. `!state.open`');
+  }
+
+  const [, negations = '', path = '', operator, literal] = matches;
+  const properties = path.slice(1).split('.');
+  const comparedValue = literal === undefined ? undefined : parseLiteral(attribute, expression, literal);
+
+  return (state) => {
+    /** @type {any} */
+    let value = properties.reduce((object, property) => object?.[property], /** @type {any} */ (state));
+
+    if (operator === '===') value = value === comparedValue;
+    if (operator === '!==') value = value !== comparedValue;
+
+    for (let i = 0; i < negations.length; i++) value = !value;
+
+    return value;
+  };
+}
+
+/**
+ * Parses a literal of a state binding expression.
+ *
+ * @param {string} attribute - The name of the binding attribute.
+ * @param {string} expression - The expression.
+ * @param {string} literal - The literal, a quoted string, a number, `true`, `false` or `null`.
+ * @returns {string | number | boolean | null} The value of the literal.
+ */
+function parseLiteral(attribute, expression, literal) {
+  const quote = literal[0];
+
+  if ((quote === "'" || quote === '"') && literal.endsWith(quote) && literal.length > 1) return literal.slice(1, -1);
+  if (literal === 'null') return null;
+
+  const value = parseValue(literal);
+
+  if (typeof value === 'string') {
+    throw new StateBindingError(attribute, expression, `\`${literal}\` isn't a string, number, boolean or null`);
+  }
+
+  return /** @type {number | boolean} */ (value);
+}
+
 /**
  * Parses a string to extract data based on a delimiter.
  *
@@ -317,6 +987,34 @@ function parseValue(str) {
   return str;
 }
 
+/**
+ * Throws a formatted error when an event binding attribute is malformed.
+ */
+class EventBindingError extends Error {
+  /**
+   * @param {string} attribute
+   * @param {string} value
+   * @param {string} reason
+   */
+  constructor(attribute, value, reason) {
+    super(`Invalid event binding ${attribute}="${value}": ${reason}`);
+  }
+}
+
+/**
+ * Throws a formatted error when a state binding attribute is malformed.
+ */
+class StateBindingError extends Error {
+  /**
+   * @param {string} attribute
+   * @param {string} expression
+   * @param {string} reason
+   */
+  constructor(attribute, expression, reason) {
+    super(`Invalid state binding ${attribute}="${expression}": ${reason}`);
+  }
+}
+
 /**
  * Throws a formatted error when a required ref is not found in the component.
  */
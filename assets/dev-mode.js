@@ -0,0 +1,196 @@
+/**
+ * @typedef {HTMLElement & { refs: Record<string, Element | Element[] | undefined> }} InspectedComponent
+ */
+
+/**
+ * @typedef {Object} ComponentInfo
+ * @property {InspectedComponent} component - The component
+ * @property {string} name - The tag name of the component
+ * @property {string | undefined} id - The ID of the component
+ * @property {Record<string, string | string[] | undefined>} refs - The elements the refs resolve to, as selectors
+ * @property {string[]} problems - The problems found in the component
+ */
+
+/** @constant {string} The query parameter that enables the dev mode, e.g. `?theme_debug` */
+const DEV_MODE_PARAMETER = 'theme_debug';
+
+/**
+ * Helps debug the components on any page with the `theme_debug` query parameter, including the preview of the theme
+ * editor. It's off by default so merchants editing their theme don't see it.
+ *
+ * Keeps a registry of the live components, reports the problems found in them, e.g. missing refs, `on:` attributes
+ * pointing at methods that don't exist, or errors thrown by their handlers, and highlights the broken components in an
+ * overlay. Run `window.__theme.inspect()` in the console to list the components and their refs.
+ */
+class DevMode {
+  /**
+   * The live components
+   * @type {Set<InspectedComponent>}
+   */
+  #components = new Set();
+
+  /**
+   * The problems found in the components
+   * @type {Map<InspectedComponent, Set<string>>}
+   */
+  #problems = new Map();
+
+  /** @type {HTMLElement | undefined} */
+  #overlay;
+
+  #renderScheduled = false;
+
+  /**
+   * Whether the dev mode is enabled with the query parameter
+   * @type {boolean}
+   */
+  enabled = new URLSearchParams(location.search).has(DEV_MODE_PARAMETER);
+
+  constructor() {
+    if (!this.enabled) return;
+
+    window.__theme = { inspect: (target) => this.inspect(target) };
+  }
+
+  /**
+   * Adds a component to the registry.
+   * @param {InspectedComponent} component - The connected component.
+   */
+  register(component) {
+    if (!this.enabled) return;
+
+    this.#components.add(component);
+  }
+
+  /**
+   * Removes a component from the registry.
+   * @param {InspectedComponent} component - The disconnected component.
+   */
+  unregister(component) {
+    if (!this.enabled) return;
+
+    this.#components.delete(component);
+
+    if (this.#problems.delete(component)) this.#scheduleRender();
+  }
+
+  /**
+   * Reports a problem found in a component, once, and highlights the component.
+   * @param {InspectedComponent} component - The component.
+   * @param {string | unknown} problem - The problem, or the error thrown.
+   */
+  report(component, problem) {
+    if (!this.enabled) return;
+
+    const message = problem instanceof Error ? problem.message : String(problem);
+    const problems = this.#problems.get(component) ?? new Set();
+
+    if (problems.has(message)) return;
+
+    problems.add(message);
+    this.#problems.set(component, problems);
+
+    console.warn(`[theme] ${component.tagName.toLowerCase()}: ${message}`, component);
+    this.#scheduleRender();
+  }
+
+  /**
+   * Lists the live components, their refs and their problems.
+   * @param {string | Element} [target] - A selector the components match, or an element they contain.
+   * @returns {ComponentInfo[]} The components.
+   */
+  inspect(target) {
+    const components = Array.from(this.#components).filter((component) => {
+      if (!component.isConnected) return false;
+      if (typeof target === 'string') return component.matches(target);
+      if (target) return component.contains(target);
+
+      return true;
+    });
+
+    const infos = components.map((component) => ({
+      component,
+      name: component.tagName.toLowerCase(),
+      id: component.id || undefined,
+      refs: Object.fromEntries(
+        Object.entries(component.refs).map(([name, ref]) => [
+          name,
+          Array.isArray(ref) ? ref.map(describeElement) : ref && describeElement(ref),
+        ])
+      ),
+      problems: Array.from(this.#problems.get(component) ?? []),
+    }));
+
+    console.table(
+      infos.map(({ name, id, refs, problems }) => ({
+        name,
+        id,
+        refs: Object.keys(refs).join(', '),
+        problems: problems.length,
+      }))
+    );
+
+    return infos;
+  }
+
+  /**
+   * Renders the overlay in the next frame.
+   */
+  #scheduleRender() {
+    if (this.#renderScheduled) return;
+
+    this.#renderScheduled = true;
+    requestAnimationFrame(() => {
+      this.#renderScheduled = false;
+      this.#renderOverlay();
+    });
+  }
+
+  /**
+   * Highlights the broken components, and lists their problems.
+   */
+  #renderOverlay() {
+    const broken = Array.from(this.#problems).filter(([component]) => component.isConnected);
+
+    if (!this.#overlay) {
+      this.#overlay = document.createElement('div');
+      this.#overlay.setAttribute('aria-hidden', 'true');
+      this.#overlay.style.cssText = 'position: fixed; inset: 0; z-index: 2147483647; pointer-events: none;';
+
+      window.addEventListener('scroll', () => this.#scheduleRender(), { passive: true, capture: true });
+      window.addEventListener('resize', () => this.#scheduleRender());
+    }
+
+    if (!this.#overlay.isConnected) document.body.append(this.#overlay);
+
+    this.#overlay.replaceChildren(
+      ...broken.map(([component, problems]) => {
+        const { top, left, width, height } = component.getBoundingClientRect();
+        const highlight = document.createElement('div');
+        const label = document.createElement('span');
+
+        highlight.style.cssText = `position: absolute; top: ${top}px; left: ${left}px; width: ${width}px; height: ${height}px; outline: 2px dashed #d72c0d; outline-offset: -2px;`;
+        label.style.cssText =
+          'position: absolute; top: 0; left: 0; max-width: 100%; padding: 2px 6px; background: #d72c0d; color: #fff; font: 12px/1.4 monospace; white-space: pre-wrap;';
+        label.textContent = `${component.tagName.toLowerCase()}\n${Array.from(problems).join('\n')}`;
+
+        highlight.append(label);
+
+        return highlight;
+      })
+    );
+  }
+}
+
+/**
+ * @param {Element} element - The element.
+ * @returns {string} A selector that describes the element, e.g. `button#add.button`.
+ */
+function describeElement(element) {
+  const id = element.id ? `#${element.id}` : '';
+  const classes = Array.from(element.classList, (className) => `.${className}`).join('');
+
+  return `${element.tagName.toLowerCase()}${id}${classes}`;
+}
+
+export const devMode = new DevMode();
@@ -26,6 +26,14 @@ export class ThemeEvents {
   static discountUpdate = 'discount:update';
   /** @static @constant {string} Event triggered when changing collection filters */
   static FilterUpdate = 'filter:update';
+  /** @static @constant {string} Event triggered when the saved for later items change */
+  static savedForLaterUpdate = 'saved-for-later:update';
+  /** @static @constant {string} Event triggered when the wishlist changes */
+  static wishlistUpdate = 'wishlist:update';
+  /** @static @constant {string} Event triggered when the recently viewed products change in another tab */
+  static recentlyViewedUpdate = 'recently-viewed:update';
+  /** @static @constant {string} Event triggered when the saved filters change */
+  static savedFiltersUpdate = 'saved-filters:update';
 }
 
 /**
@@ -98,6 +106,7 @@ export class CartAddEvent extends Event {
    * @param {string} [data.productId] - The id of the product card that was updated
    * @param {number} [data.itemCount] - The number of items in the cart
    * @param {string} [data.variantId] - The id of the product variant that was added
+   * @param {{ variantId: number, quantity: number, productId?: string }[]} [data.items] - The lines added at once
    * @param {Record<string, string>} [data.sections] - The sections affected by the cart operation
    */
   constructor(resource, sourceId, data) {
@@ -287,3 +296,71 @@ export class FilterUpdateEvent extends Event {
     return [...this.detail.queryParams.entries()].filter(([key]) => key.startsWith('filter.')).length > 0;
   }
 }
+
+/**
+ * Event fired when the saved for later items change
+ * @extends {Event}
+ */
+export class SavedForLaterUpdateEvent extends Event {
+  /**
+   * Creates a new SavedForLaterUpdateEvent
+   * @param {Object[]} resource - The saved items
+   */
+  constructor(resource) {
+    super(ThemeEvents.savedForLaterUpdate, { bubbles: true });
+    this.detail = {
+      resource,
+    };
+  }
+}
+
+/**
+ * Event fired when the wishlist changes, in this tab or another one
+ * @extends {Event}
+ */
+export class WishlistUpdateEvent extends Event {
+  /**
+   * Creates a new WishlistUpdateEvent
+   * @param {string[]} resource - The IDs of the products in the wishlist
+   */
+  constructor(resource) {
+    super(ThemeEvents.wishlistUpdate, { bubbles: true });
+    this.detail = {
+      resource,
+    };
+  }
+}
+
+/**
+ * Event fired when the recently viewed products change in another tab
+ * @extends {Event}
+ */
+export class RecentlyViewedUpdateEvent extends Event {
+  /**
+   * Creates a new RecentlyViewedUpdateEvent
+   * @param {string[]} resource - The IDs of the recently viewed products
+   */
+  constructor(resource) {
+    super(ThemeEvents.recentlyViewedUpdate, { bubbles: true });
+    this.detail = {
+      resource,
+    };
+  }
+}
+
+/**
+ * Event fired when the saved filters change, in this tab or another one
+ * @extends {Event}
+ */
+export class SavedFiltersUpdateEvent extends Event {
+  /**
+   * Creates a new SavedFiltersUpdateEvent
+   * @param {Object[]} resource - The saved filters
+   */
+  constructor(resource) {
+    super(ThemeEvents.savedFiltersUpdate, { bubbles: true });
+    this.detail = {
+      resource,
+    };
+  }
+}
@@ -1,7 +1,17 @@
 import { sectionRenderer } from '@theme/section-renderer';
 import { Component } from '@theme/component';
 import { FilterUpdateEvent, ThemeEvents } from '@theme/events';
-import { debounce, formatMoney, startViewTransition } from '@theme/utilities';
+import {
+  debounce,
+  formatMoney,
+  formatMoneyCents,
+  getCurrencyPrecision,
+  normalizeString,
+  requestIdleCallback,
+  startViewTransition,
+} from '@theme/utilities';
+import { DialogCloseEvent, DialogComponent, DialogOpenEvent } from '@theme/dialog';
+import { SavedFilters } from '@theme/saved-filters';
 
 /**
  * Search query parameter.
@@ -9,18 +19,254 @@ import { debounce, formatMoney, startViewTransition } from '@theme/utilities';
  */
 const SEARCH_QUERY = 'q';
 
+/**
+ * The parameters that aren't part of the facet state, e.g. the page of the paginated list.
+ * @type {string[]}
+ */
+const NON_FACET_PARAMETERS = ['page'];
+
+/**
+ * The section that renders the number of products and the count of each filter value, to preview the filters.
+ * @type {string}
+ */
+const PREVIEW_SECTION_ID = 'facets-preview';
+
+/**
+ * The section that renders the prices of the products, for the histogram of the price filter.
+ * @type {string}
+ */
+const PRICE_HISTOGRAM_SECTION_ID = 'price-histogram';
+
+/** @constant {number} The number of bars in the histogram of the price filter */
+const PRICE_HISTOGRAM_BARS = 24;
+
+/** @constant {number} The number of milliseconds the price slider waits for the drag to pause before filtering */
+const PRICE_SLIDER_DELAY = 300;
+
+/**
+ * @typedef {Object} FacetsHistoryState
+ * @property {boolean} [facets] - Whether the entry was added by the facets
+ * @property {number} [scrollY] - The scroll position of the entry, when the customer left it
+ */
+
+/**
+ * The facet state, kept in the URL so it can be shared, and navigated with the back and forward buttons.
+ *
+ * The URL is the source of truth: the facets form writes its parameters to it, and the section, with the form, is
+ * rendered from it. When the customer navigates the history to other facet parameters, the sections of the facets
+ * forms are rendered again and the scroll position of the entry is restored.
+ */
+class FacetsHistory {
+  /**
+   * The facet parameters the sections are rendered with
+   * @type {string}
+   */
+  #renderedParameters = getFacetParameters(window.location.href);
+
+  #listening = false;
+
+  /**
+   * Starts listening to the history, once a facets form is connected.
+   */
+  listen() {
+    if (this.#listening) return;
+    this.#listening = true;
+
+    window.addEventListener('popstate', this.#handlePopState);
+    window.addEventListener('scroll', this.#saveScrollPosition, { passive: true });
+  }
+
+  /**
+   * Writes the facet parameters to the URL.
+   * @param {URLSearchParams} urlParameters - The facet parameters.
+   * @param {Object} [options] - The options.
+   * @param {boolean} [options.replace] - Whether to replace the current entry rather than adding one.
+   */
+  update(urlParameters, { replace = false } = {}) {
+    const url = new URL(window.location.href);
+
+    url.search = '';
+    for (const [param, value] of urlParameters.entries()) {
+      url.searchParams.append(param, value);
+    }
+
+    this.#renderedParameters = getFacetParameters(url);
+
+    if (url.href === window.location.href) return;
+
+    /** @type {FacetsHistoryState} */
+    const state = { facets: true };
+
+    if (replace) {
+      history.replaceState({ ...getHistoryState(), ...state }, '', url.toString());
+    } else {
+      this.#saveScrollPosition.cancel();
+      history.replaceState({ ...getHistoryState(), scrollY: window.scrollY }, '');
+      history.pushState(state, '', url.toString());
+    }
+  }
+
+  /**
+   * Renders the sections again when the customer navigates to other facet parameters.
+   * @param {PopStateEvent} event - The popstate event.
+   */
+  #handlePopState = async (event) => {
+    const parameters = getFacetParameters(window.location.href);
+
+    // Other entries, e.g. the pages of the paginated list, don't change the facets
+    if (parameters === this.#renderedParameters) return;
+    this.#renderedParameters = parameters;
+
+    /** @type {Map<string, FacetsFormComponent>} */
+    const facetsForms = new Map();
+    for (const facetsForm of document.querySelectorAll('facets-form-component')) {
+      if (facetsForm instanceof FacetsFormComponent && !facetsForms.has(facetsForm.sectionId)) {
+        facetsForms.set(facetsForm.sectionId, facetsForm);
+      }
+    }
+
+    const { scrollY } = /** @type {FacetsHistoryState} */ (getHistoryState(event.state));
+
+    await Promise.all(
+      Array.from(facetsForms.values(), (facetsForm) => {
+        facetsForm.dispatchEvent(new FilterUpdateEvent(new URLSearchParams(parameters)));
+
+        return sectionRenderer.renderSection(facetsForm.sectionId);
+      })
+    );
+
+    if (typeof scrollY === 'number') window.scrollTo({ top: scrollY, behavior: 'instant' });
+  };
+
+  /**
+   * Saves the scroll position in the current entry, to restore it when the customer comes back to it.
+   */
+  #saveScrollPosition = debounce(() => {
+    if (!getHistoryState().facets) return;
+
+    history.replaceState({ ...getHistoryState(), scrollY: window.scrollY }, '');
+  }, 200);
+}
+
+/**
+ * Gets the facet parameters of a URL, the ones that change the rendered facets.
+ * @param {string | URL} url - The URL.
+ * @returns {string} The facet parameters.
+ */
+function getFacetParameters(url) {
+  const { searchParams } = new URL(url, window.location.origin);
+
+  for (const parameter of NON_FACET_PARAMETERS) searchParams.delete(parameter);
+
+  searchParams.sort();
+
+  return searchParams.toString();
+}
+
+/**
+ * Gets the state of a history entry, the entries added by other components can have none.
+ * @param {unknown} [state] - The state.
+ * @returns {FacetsHistoryState} The state.
+ */
+function getHistoryState(state = history.state) {
+  return state && typeof state === 'object' ? state : {};
+}
+
+const facetsHistory = new FacetsHistory();
+
 /**
  * Handles the main facets form functionality
  *
+ * With the `data-preview` attribute, e.g. in the facets drawer, changing the filters only previews the number of
+ * results and disables the filter values without results. The section is rendered when the preview is applied.
+ *
+ * The customer can save the filters of the form under a name, on the same page, which are listed when the dialog the
+ * form is in opens. Saved filters that now return products on their first page that weren't there the last time the
+ * customer applied them are flagged with the number of new products.
+ *
  * @typedef {Object} FacetsFormRefs
  * @property {HTMLFormElement} facetsForm - The main facets form element
  * @property {HTMLElement | undefined} facetStatus - The facet status element
+ * @property {HTMLUListElement} [savedFiltersList] - The list of saved filters
+ * @property {HTMLTemplateElement} [savedFilterTemplate] - The template of a saved filter
+ * @property {HTMLInputElement} [savedFiltersName] - The name to save the filters under
  *
  * @extends {Component<FacetsFormRefs>}
  */
 class FacetsFormComponent extends Component {
   requiredRefs = ['facetsForm'];
 
+  /**
+   * The previewed filter parameters, until they're applied
+   * @type {URLSearchParams | null}
+   */
+  #previewParameters = null;
+
+  /**
+   * Incremented on every preview, so only the latest one is shown
+   * @type {number}
+   */
+  #previewId = 0;
+
+  /**
+   * The dialog the form is in, which discards the preview when it's closed
+   * @type {Element | null}
+   */
+  #dialogComponent = null;
+
+  /**
+   * Incremented on every render of the saved filters, so only the latest one is shown
+   * @type {number}
+   */
+  #savedFiltersRenderId = 0;
+
+  /**
+   * The number of new products of the saved filters, by saved filters ID, as of their last check
+   * @type {Map<string, number>}
+   */
+  #savedFiltersNewCounts = new Map();
+
+  connectedCallback() {
+    super.connectedCallback();
+    facetsHistory.listen();
+
+    this.#dialogComponent = this.closest('dialog-component');
+    this.#dialogComponent?.addEventListener(DialogCloseEvent.eventName, this.#discardPreview);
+    this.#dialogComponent?.addEventListener(DialogOpenEvent.eventName, this.#updateSavedFilters);
+    document.addEventListener(ThemeEvents.savedFiltersUpdate, this.#updateSavedFilters);
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    // The saved filters are rendered on the client, a morph of the section empties the list. Their new products were
+    // checked when the dialog opened, they aren't fetched again for every filter change.
+    try {
+      this.#renderSavedFilters();
+    } catch (error) {
+      console.error(error);
+    }
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#dialogComponent?.removeEventListener(DialogCloseEvent.eventName, this.#discardPreview);
+    this.#dialogComponent?.removeEventListener(DialogOpenEvent.eventName, this.#updateSavedFilters);
+    this.#dialogComponent = null;
+    document.removeEventListener(ThemeEvents.savedFiltersUpdate, this.#updateSavedFilters);
+  }
+
+  /**
+   * The button that applies the preview, and shows its number of results
+   * @returns {HTMLButtonElement | null}
+   */
+  get #applyButton() {
+    const button = document.getElementById(`${this.id}-apply`);
+
+    return button instanceof HTMLButtonElement ? button : null;
+  }
+
   /**
    * Creates URL parameters from form data
    * @param {FormData} [formData] - Optional form data to use instead of the main form
@@ -56,25 +302,19 @@ class FacetsFormComponent extends Component {
   }
 
   /**
-   * Updates the URL hash with current filter parameters
+   * Updates filters and renders the section
+   * @param {{ replace?: boolean } | Event} [options] - Whether to replace the history entry rather than adding one,
+   * e.g. for the rapid changes of a price slider. An event when called from an `on:` attribute.
    */
-  #updateURLHash() {
-    const url = new URL(window.location.href);
-    const urlParameters = this.createURLParameters();
-
-    url.search = '';
-    for (const [param, value] of urlParameters.entries()) {
-      url.searchParams.append(param, value);
+  updateFilters = (options) => {
+    if (this.hasAttribute('data-preview')) {
+      this.#preview();
+      return;
     }
 
-    history.pushState({ urlParameters: urlParameters.toString() }, '', url.toString());
-  }
+    const replace = !(options instanceof Event) && Boolean(options?.replace);
 
-  /**
-   * Updates filters and renders the section
-   */
-  updateFilters = () => {
-    this.#updateURLHash();
+    facetsHistory.update(this.createURLParameters(), { replace });
     this.dispatchEvent(new FilterUpdateEvent(this.createURLParameters()));
     this.#updateSection();
   };
@@ -92,12 +332,267 @@ class FacetsFormComponent extends Component {
     }
   }
 
+  /**
+   * Fetches the number of results and the count of each filter value for the filters in the form.
+   */
+  async #preview() {
+    const parameters = this.createURLParameters();
+    const url = new URL(window.location.pathname, window.location.origin);
+    const previewId = ++this.#previewId;
+
+    for (const [key, value] of parameters) url.searchParams.append(key, value);
+
+    this.#previewParameters = parameters;
+    this.#applyButton?.setAttribute('aria-busy', 'true');
+
+    try {
+      const html = await sectionRenderer.getSectionHTML(PREVIEW_SECTION_ID, true, url);
+      const preview = new DOMParser().parseFromString(html, 'text/html').getElementById(PREVIEW_SECTION_ID);
+
+      if (previewId !== this.#previewId || !preview) return;
+
+      this.#renderPreview(preview);
+    } catch (error) {
+      console.error(error);
+    } finally {
+      if (previewId === this.#previewId) this.#applyButton?.removeAttribute('aria-busy');
+    }
+  }
+
+  /**
+   * Shows the number of results on the apply button, and disables the filter values without results.
+   * @param {HTMLElement} preview - The preview, from the facets preview section.
+   */
+  #renderPreview(preview) {
+    const productsCount = Number(preview.dataset.productsCount);
+
+    /** @type {Map<string, number>} */
+    const counts = new Map();
+    for (const value of preview.querySelectorAll('[data-param-name]')) {
+      if (!(value instanceof HTMLElement)) continue;
+
+      counts.set(`${value.dataset.paramName}=${value.dataset.value}`, Number(value.dataset.count));
+    }
+
+    for (const input of this.refs.facetsForm.querySelectorAll('input[type="checkbox"]')) {
+      if (!(input instanceof HTMLInputElement)) continue;
+
+      const count = counts.get(`${input.name}=${input.value}`);
+      if (count !== undefined) input.disabled = count === 0 && !input.checked;
+    }
+
+    const applyButton = this.#applyButton;
+    if (!applyButton) return;
+
+    const template = productsCount === 1 ? applyButton.dataset.templateOne : applyButton.dataset.template;
+
+    if (template) applyButton.textContent = template.replace('[count]', productsCount.toString());
+    applyButton.disabled = productsCount === 0;
+  }
+
+  /**
+   * Applies the previewed filters, renders the section and closes the dialog.
+   */
+  applyPreview = () => {
+    const parameters = this.#previewParameters;
+
+    this.#previewParameters = null;
+    this.#previewId++;
+
+    if (parameters) {
+      facetsHistory.update(parameters);
+      this.dispatchEvent(new FilterUpdateEvent(parameters));
+      this.#updateSection();
+    }
+
+    if (this.#dialogComponent instanceof DialogComponent) this.#dialogComponent.closeDialog();
+  };
+
+  /**
+   * Discards the previewed filters when the dialog is closed without applying them, the form is rendered again with
+   * the applied filters.
+   */
+  #discardPreview = () => {
+    if (!this.#previewParameters) return;
+
+    this.#previewParameters = null;
+    this.#previewId++;
+
+    sectionRenderer.renderSection(this.sectionId);
+  };
+
+  /**
+   * Saves the filters of the form under the name the customer entered, with the products they return.
+   */
+  async saveFilters() {
+    const { savedFiltersName } = this.refs;
+    const name = savedFiltersName?.value.trim();
+
+    if (!savedFiltersName || !name) {
+      savedFiltersName?.focus();
+      return;
+    }
+
+    const parameters = this.createURLParameters();
+    parameters.sort();
+
+    const handles = await this.#fetchProductHandles(parameters.toString());
+    if (!handles) return;
+
+    SavedFilters.addFilter({ name, path: window.location.pathname, parameters: parameters.toString(), handles });
+    savedFiltersName.value = '';
+  }
+
+  /**
+   * Applies saved filters, and closes the dialog.
+   * @param {MouseEvent & { target: HTMLElement }} event - The click event on the saved filters.
+   */
+  applySavedFilters(event) {
+    const filter = this.#getSavedFilter(event);
+    if (!filter) return;
+
+    this.#previewParameters = null;
+    this.#previewId++;
+
+    this.updateFiltersByURL(`${window.location.pathname}?${filter.parameters}`);
+
+    if (this.#dialogComponent instanceof DialogComponent) this.#dialogComponent.closeDialog();
+  }
+
+  /**
+   * Removes saved filters.
+   * @param {MouseEvent & { target: HTMLElement }} event - The click event on the saved filters.
+   */
+  removeSavedFilters(event) {
+    const filter = this.#getSavedFilter(event);
+
+    if (filter) SavedFilters.removeFilter(filter.id);
+  }
+
+  /**
+   * Gets the saved filters an event happened in.
+   * @param {Event & { target: HTMLElement }} event - The event.
+   * @returns {import('./saved-filters').SavedFilter | undefined} The saved filters.
+   */
+  #getSavedFilter(event) {
+    const element = event.target.closest('[data-id]');
+    const id = element instanceof HTMLElement ? element.dataset.id : undefined;
+
+    return SavedFilters.getFilters().find((filter) => filter.id === id);
+  }
+
+  /**
+   * Checks which filters saved on the page return new products, when the dialog opens or the saved filters change,
+   * and renders them. The applied ones are marked as seen.
+   */
+  #updateSavedFilters = async () => {
+    const { savedFiltersList, savedFilterTemplate } = this.refs;
+    if (!savedFiltersList || !savedFilterTemplate) return;
+
+    const filters = SavedFilters.getFilters(window.location.pathname);
+    const appliedParameters = getFacetParameters(window.location.href);
+    const renderId = ++this.#savedFiltersRenderId;
+
+    const newCounts = await Promise.all(
+      filters.map(async (filter) => {
+        const handles = await this.#fetchProductHandles(filter.parameters);
+        const newCount = handles?.filter((handle) => !filter.handles.includes(handle)).length ?? 0;
+
+        if (handles && newCount > 0 && filter.parameters === appliedParameters) {
+          SavedFilters.updateHandles(filter.id, handles);
+        }
+
+        return newCount;
+      })
+    );
+
+    if (renderId !== this.#savedFiltersRenderId) return;
+
+    this.#savedFiltersNewCounts = new Map(filters.map((filter, index) => [filter.id, newCounts[index] ?? 0]));
+
+    try {
+      this.#renderSavedFilters();
+    } catch (error) {
+      console.error(error);
+    }
+  };
+
+  /**
+   * Renders the filters saved on the page with the number of new products found at their last check.
+   */
+  #renderSavedFilters() {
+    const { savedFiltersList } = this.refs;
+    if (!savedFiltersList) return;
+
+    const appliedParameters = getFacetParameters(window.location.href);
+    const elements = SavedFilters.getFilters(window.location.pathname).map((filter) =>
+      this.#renderSavedFilter(
+        filter,
+        filter.parameters === appliedParameters ? 0 : (this.#savedFiltersNewCounts.get(filter.id) ?? 0)
+      )
+    );
+
+    savedFiltersList.replaceChildren(...elements);
+    savedFiltersList.hidden = elements.length === 0;
+  }
+
+  /**
+   * Renders saved filters from the saved filter template.
+   * @param {import('./saved-filters').SavedFilter} filter - The saved filters.
+   * @param {number} newCount - The number of products they return that weren't there at the last visit.
+   * @returns {HTMLElement} The saved filters element.
+   */
+  #renderSavedFilter(filter, newCount) {
+    const template = /** @type {HTMLTemplateElement} */ (this.refs.savedFilterTemplate);
+    const fragment = /** @type {DocumentFragment} */ (template.content.cloneNode(true));
+    const element = fragment.firstElementChild;
+
+    if (!(element instanceof HTMLElement)) throw new Error('The saved filter template must have a root element');
+
+    element.dataset.id = filter.id;
+
+    const name = element.querySelector('.saved-filters__name');
+    if (name) name.textContent = filter.name;
+
+    const badge = element.querySelector('.saved-filters__new');
+    if (badge instanceof HTMLElement) {
+      badge.textContent = (badge.dataset.template ?? '').replace('[count]', newCount.toString());
+      badge.hidden = newCount === 0;
+    }
+
+    const removeButton = element.querySelector('.saved-filters__remove');
+    if (removeButton instanceof HTMLElement) {
+      removeButton.setAttribute('aria-label', (removeButton.dataset.template ?? '').replace('[title]', filter.name));
+    }
+
+    return element;
+  }
+
+  /**
+   * Fetches the handles of the products on the first page of results for filters.
+   * @param {string} parameters - The filter parameters.
+   * @returns {Promise<string[] | null>} The handles of the products, or null when they couldn't be fetched.
+   */
+  async #fetchProductHandles(parameters) {
+    const url = new URL(`${window.location.pathname}?${parameters}`, window.location.origin);
+
+    try {
+      const html = await sectionRenderer.getSectionHTML(this.sectionId, true, url);
+      const items = new DOMParser().parseFromString(html, 'text/html').querySelectorAll('[data-product-handle]');
+
+      return Array.from(items, (item) => item.getAttribute('data-product-handle') ?? '').filter(Boolean);
+    } catch (error) {
+      console.error(error);
+      return null;
+    }
+  }
+
   /**
    * Updates filters based on a provided URL
    * @param {string} url - The URL to update filters with
    */
   updateFiltersByURL(url) {
-    history.pushState('', '', url);
+    facetsHistory.update(new URL(url, window.location.origin).searchParams);
     this.dispatchEvent(new FilterUpdateEvent(this.createURLParameters()));
     this.#updateSection();
   }
@@ -110,13 +605,43 @@ if (!customElements.get('facets-form-component')) {
 /**
  * @typedef {Object} FacetInputsRefs
  * @property {HTMLInputElement[]} facetInputs - The facet input elements
+ * @property {HTMLInputElement} [search] - The search input of long lists of values
+ * @property {HTMLElement} [liveRegion] - The live region that announces the number of matching values
+ * @property {HTMLElement} [noResultsMessage] - The message shown when no value matches
  */
 
+/** @constant {string} The elements that show the label of a value, highlighted while searching */
+const VALUE_LABEL_SELECTOR = '.checkbox__label-text, .facets__pill-text, .facets__swatch-label, .facets__image-label';
+
+/** @constant {string[]} The classes of the values collapsed by the show more component */
+const COLLAPSED_CLASSES = ['hidden', 'mobile:hidden'];
+
 /**
  * Handles individual facet input functionality
+ *
+ * Long lists of values have a search input that filters them like the country filter of the localization form, and
+ * the arrow keys move the focus between the matching values.
+ *
  * @extends {Component<FacetInputsRefs>}
  */
 class FacetInputsComponent extends Component {
+  connectedCallback() {
+    super.connectedCallback();
+    this.addEventListener('keydown', this.#onListKeyDown);
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    // The search value is preserved by the morph, but the show more button and the live region are not
+    if (this.refs.search?.value) this.filterValues();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this.removeEventListener('keydown', this.#onListKeyDown);
+  }
+
   get sectionId() {
     const id = this.closest('.shopify-section')?.id;
     if (!id) throw new Error('FacetInputs component must be a child of a section');
@@ -135,6 +660,155 @@ class FacetInputsComponent extends Component {
     this.#updateSelectedFacetSummary();
   }
 
+  /**
+   * Filters the values based on the search value, ignoring diacritics, and highlights the matches.
+   * @param {Event} [event] - The input or change event of the search input.
+   */
+  filterValues(event) {
+    // The search isn't a filter, its events must not reach `updateFilters`
+    event?.stopPropagation();
+
+    const { search, liveRegion, noResultsMessage } = this.refs;
+    if (!search) return;
+
+    const { labelResultsCount } = this.dataset;
+    const searchValue = normalizeString(search.value.trim());
+    let countVisibleValues = 0;
+
+    this.classList.toggle('facets__inputs--searching', Boolean(searchValue));
+    this.querySelector('.show-more__button')?.classList.toggle('hidden', Boolean(searchValue));
+
+    for (const item of this.#items) {
+      const label = item.dataset.label ?? '';
+      const labelElement = item.querySelector(VALUE_LABEL_SELECTOR);
+      const matches = searchValue === '' || normalizeString(label).includes(searchValue);
+
+      this.#toggleCollapsed(item, searchValue === '');
+      item.hidden = !matches;
+
+      labelElement?.replaceChildren(...this.#highlightMatches(label, searchValue));
+
+      if (matches) countVisibleValues++;
+    }
+
+    if (liveRegion && labelResultsCount) {
+      liveRegion.innerText = labelResultsCount.replace('[count]', `${countVisibleValues}`);
+    }
+
+    if (noResultsMessage) noResultsMessage.hidden = countVisibleValues > 0;
+  }
+
+  /**
+   * Handles the keydown event of the search input.
+   * @param {KeyboardEvent} event - The keydown event
+   */
+  handleSearchKeyDown(event) {
+    switch (event.key) {
+      case 'Enter':
+        // Don't submit the facets form
+        event.preventDefault();
+        break;
+      case 'ArrowDown':
+        event.preventDefault();
+        this.#changeValueFocus('DOWN');
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        this.#changeValueFocus('UP');
+        break;
+    }
+  }
+
+  /**
+   * Moves the focus between the matching values with the arrow keys.
+   * @param {KeyboardEvent} event - The keydown event
+   */
+  #onListKeyDown = (event) => {
+    if (!this.refs.search || !(event.target instanceof Element)) return;
+    if (!event.target.closest('.facets__inputs-list-item')) return;
+
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      this.#changeValueFocus(event.key === 'ArrowDown' ? 'DOWN' : 'UP');
+    }
+  };
+
+  /**
+   * Changes the focus of the matching values, wrapping around the ends of the list.
+   * @param {'UP' | 'DOWN'} direction - The direction to change the focus.
+   */
+  #changeValueFocus(direction) {
+    const focusableItems = this.#items.filter((item) => !item.hidden);
+    const focusedItemIndex = focusableItems.findIndex((item) => item.contains(document.activeElement));
+    let itemToFocus;
+
+    if (direction === 'UP') {
+      itemToFocus =
+        focusedItemIndex > 0 ? focusableItems[focusedItemIndex - 1] : focusableItems[focusableItems.length - 1];
+    } else {
+      itemToFocus =
+        focusedItemIndex < focusableItems.length - 1 ? focusableItems[focusedItemIndex + 1] : focusableItems[0];
+    }
+
+    const focusTarget = itemToFocus?.querySelector('input:not([tabindex="-1"]):not(:disabled), [tabindex="0"]');
+    if (focusTarget instanceof HTMLElement) focusTarget.focus();
+  }
+
+  /**
+   * The items of the values
+   * @returns {HTMLElement[]}
+   */
+  get #items() {
+    return Array.from(this.querySelectorAll('.facets__inputs-list-item')).filter((item) => item instanceof HTMLElement);
+  }
+
+  /**
+   * Reveals the values collapsed by the show more component while searching, and collapses them again after.
+   * @param {HTMLElement} item - The item of a value.
+   * @param {boolean} collapse - Whether to collapse the value again.
+   */
+  #toggleCollapsed(item, collapse) {
+    if (collapse) {
+      if (item.dataset.collapsed) item.classList.add(item.dataset.collapsed);
+      delete item.dataset.collapsed;
+      return;
+    }
+
+    const collapsedClass = COLLAPSED_CLASSES.find((className) => item.classList.contains(className));
+    if (!collapsedClass) return;
+
+    item.dataset.collapsed = collapsedClass;
+    item.classList.remove(collapsedClass);
+  }
+
+  /**
+   * Highlights matching text in a string by wrapping the rest of it in <mark> tags, like the country filter of the
+   * localization form. Nodes are returned rather than HTML, as the labels are set by the merchant.
+   *
+   * @param {string} text - The text to highlight.
+   * @param {string} searchValue - The normalized search value to highlight.
+   * @returns {(string | HTMLElement)[]} The text, with the parts around the match wrapped in <mark> tags.
+   */
+  #highlightMatches(text, searchValue) {
+    const startIndex = searchValue ? normalizeString(text).indexOf(searchValue) : -1;
+
+    if (startIndex === -1) return [text];
+
+    const endIndex = startIndex + searchValue.length;
+    const before = text.slice(0, startIndex);
+    const match = text.slice(startIndex, endIndex);
+    const after = text.slice(endIndex);
+
+    /** @param {string} part */
+    const mark = (part) => {
+      const element = document.createElement('mark');
+      element.textContent = part;
+      return element;
+    };
+
+    return [before && mark(before), match, after && mark(after)].filter(Boolean);
+  }
+
   /**
    * Handles keydown events for the facets form
    * @param {KeyboardEvent} event - The keydown event
@@ -209,34 +883,133 @@ if (!customElements.get('facet-inputs-component')) {
  * @typedef {Object} PriceFacetRefs
  * @property {HTMLInputElement} minInput - The minimum price input
  * @property {HTMLInputElement} maxInput - The maximum price input
+ * @property {HTMLElement} [slider] - The slider, with the histogram behind its two thumbs
+ * @property {HTMLElement} [histogram] - The histogram of the prices
+ * @property {HTMLInputElement} [minRange] - The thumb of the minimum price
+ * @property {HTMLInputElement} [maxRange] - The thumb of the maximum price
  */
 
 /**
  * Handles price facet functionality
+ *
+ * The slider is kept in sync with the inputs. While a thumb is dragged, or moved with the keyboard, the filters are
+ * updated once the thumb pauses, in a single history entry that's replaced until the thumb is released.
+ *
  * @extends {Component<PriceFacetRefs>}
  */
 class PriceFacetComponent extends Component {
+  /**
+   * Whether the current drag of the slider already added a history entry
+   * @type {boolean}
+   */
+  #sliding = false;
+
+  /**
+   * The prices of the products, in cents, and the filters they were fetched for
+   * @type {{ key: string, prices: number[] } | null}
+   */
+  #histogram = null;
+
+  /**
+   * Incremented on every fetch of the histogram, so only the latest one is shown
+   * @type {number}
+   */
+  #histogramId = 0;
+
   connectedCallback() {
     super.connectedCallback();
     this.addEventListener('keydown', this.#onKeyDown);
+    this.addEventListener('keyup', this.#onKeyUp);
+
+    requestIdleCallback(() => this.#updateHistogram());
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    // The bars are rendered on the client, a morph of the section empties the histogram
+    this.#updateHistogram();
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
     this.removeEventListener('keydown', this.#onKeyDown);
+    this.removeEventListener('keyup', this.#onKeyUp);
+    this.#updateFromSliderDebounced.cancel();
+  }
+
+  /**
+   * The number of decimals of the currency, the smallest step of the slider
+   * @returns {number}
+   */
+  get #precision() {
+    return getCurrencyPrecision(this.dataset.currency || '');
   }
 
   /**
-   * Handles keydown events to restrict input to valid characters
+   * The highest price of the products, in the major unit of the currency
+   * @returns {number}
+   */
+  get #rangeMax() {
+    return Number(this.dataset.rangeMax) / 100;
+  }
+
+  /**
+   * Handles keydown events to restrict input to valid characters, and to move the thumbs of the slider
    * @param {KeyboardEvent} event - The keydown event
    */
   #onKeyDown = (event) => {
     if (event.metaKey) return;
 
+    if (event.target instanceof HTMLInputElement && event.target.type === 'range') {
+      this.#stepSlider(event, event.target);
+      return;
+    }
+
     const pattern = /[0-9]|\.|,|'| |Tab|Backspace|Enter|ArrowUp|ArrowDown|ArrowLeft|ArrowRight|Delete|Escape/;
     if (!event.key.match(pattern)) event.preventDefault();
   };
 
+  /**
+   * Releases a thumb of the slider moved with the keyboard, like releasing a dragged one.
+   * @param {KeyboardEvent} event - The keyup event
+   */
+  #onKeyUp = (event) => {
+    if (!(event.target instanceof HTMLInputElement) || event.target.type !== 'range') return;
+    if (getSliderStep(event.key, 0, 0) === null) return;
+
+    event.target.dispatchEvent(new Event('change', { bubbles: true }));
+  };
+
+  /**
+   * Moves a thumb of the slider with the keyboard, by the smallest unit of the currency.
+   * @param {KeyboardEvent} event - The keydown event
+   * @param {HTMLInputElement} range - The thumb
+   */
+  #stepSlider(event, range) {
+    const step = Math.pow(10, -this.#precision);
+    const pageStep = Math.max(step, roundTo(this.#rangeMax / 10, this.#precision));
+    const delta = getSliderStep(event.key, step, pageStep);
+
+    if (delta === null) return;
+
+    event.preventDefault();
+
+    const { minRange, maxRange } = this.refs;
+    const lowest = range === maxRange ? Number(minRange?.value ?? 0) : 0;
+    const highest = range === minRange ? Number(maxRange?.value ?? this.#rangeMax) : this.#rangeMax;
+
+    let value = Number(range.value);
+    if (delta === -Infinity) value = lowest;
+    else if (delta === Infinity) value = highest;
+    else value = Math.min(highest, Math.max(lowest, roundTo(value + delta, this.#precision)));
+
+    if (value === Number(range.value)) return;
+
+    range.value = value.toString();
+    range.dispatchEvent(new Event('input', { bubbles: true }));
+  }
+
   /**
    * Updates price filter and results
    */
@@ -252,6 +1025,58 @@ class PriceFacetComponent extends Component {
     facetsForm.updateFilters();
     this.#setMinAndMaxValues();
     this.#updateSummary();
+    this.updateSlider();
+  }
+
+  /**
+   * Updates the inputs while a thumb of the slider is moved, and the filters once it pauses.
+   * @param {Event} event - The input event of a thumb
+   */
+  updateFromSlider(event) {
+    const { minInput, maxInput, minRange, maxRange } = this.refs;
+    if (!minRange || !maxRange) return;
+
+    // The thumbs can't cross each other
+    if (Number(minRange.value) > Number(maxRange.value)) {
+      if (event.target === minRange) minRange.value = maxRange.value;
+      else maxRange.value = minRange.value;
+    }
+
+    const min = roundTo(Number(minRange.value), this.#precision);
+    const max = roundTo(Number(maxRange.value), this.#precision);
+
+    // The ends of the slider don't filter the prices
+    minInput.value = min > 0 ? min.toFixed(this.#precision) : '';
+    maxInput.value = max < this.#rangeMax ? max.toFixed(this.#precision) : '';
+
+    this.#setMinAndMaxValues();
+    this.#updateSummary();
+    this.updateSlider();
+    this.#updateFromSliderDebounced();
+  }
+
+  /**
+   * Updates the filters when a thumb of the slider is released.
+   */
+  commitSlider() {
+    this.#updateFromSliderDebounced.cancel();
+    this.#updateFilters();
+    this.#sliding = false;
+  }
+
+  #updateFromSliderDebounced = debounce(() => {
+    this.#updateFilters();
+    this.#sliding = true;
+  }, PRICE_SLIDER_DELAY);
+
+  /**
+   * Updates the filters, replacing the history entry the current drag of the slider added.
+   */
+  #updateFilters() {
+    const facetsForm = this.closest('facets-form-component');
+    if (!(facetsForm instanceof FacetsFormComponent)) return;
+
+    facetsForm.updateFilters({ replace: this.#sliding });
   }
 
   /**
@@ -281,6 +1106,130 @@ class PriceFacetComponent extends Component {
     if (maxInput.value === '') minInput.setAttribute('data-max', maxInput.getAttribute('data-max') ?? '');
   }
 
+  /**
+   * Moves the thumbs of the slider to the values of the inputs, and highlights the selected range.
+   */
+  updateSlider() {
+    const { minInput, maxInput, slider, minRange, maxRange } = this.refs;
+    const rangeMax = this.#rangeMax;
+
+    if (!slider || !minRange || !maxRange || rangeMax <= 0) return;
+
+    const min = minInput.value ? Number(formatMoney(minInput.value)) : 0;
+    const max = maxInput.value ? Number(formatMoney(maxInput.value)) : rangeMax;
+
+    if (document.activeElement !== minRange) minRange.value = min.toString();
+    if (document.activeElement !== maxRange) maxRange.value = max.toString();
+
+    minRange.setAttribute('aria-valuetext', this.#formatMoney(min));
+    maxRange.setAttribute('aria-valuetext', this.#formatMoney(max));
+
+    slider.style.setProperty('--price-facet-start', `${(min / rangeMax) * 100}%`);
+    slider.style.setProperty('--price-facet-end', `${(max / rangeMax) * 100}%`);
+
+    this.#renderHistogram();
+  }
+
+  /**
+   * Fetches the prices of the products for the other filters, and renders the histogram.
+   */
+  async #updateHistogram() {
+    const facetsForm = this.closest('facets-form-component');
+    const { minInput, maxInput, histogram } = this.refs;
+
+    if (!histogram || !(facetsForm instanceof FacetsFormComponent)) return;
+
+    const parameters = facetsForm.createURLParameters();
+    parameters.delete(minInput.name);
+    parameters.delete(maxInput.name);
+    parameters.sort();
+
+    const key = parameters.toString();
+
+    if (this.#histogram?.key === key) {
+      this.#renderHistogram();
+      return;
+    }
+
+    const url = new URL(window.location.pathname, window.location.origin);
+    const histogramId = ++this.#histogramId;
+
+    for (const [name, value] of parameters) url.searchParams.append(name, value);
+
+    try {
+      const html = await sectionRenderer.getSectionHTML(PRICE_HISTOGRAM_SECTION_ID, true, url);
+      const template = new DOMParser().parseFromString(html, 'text/html').getElementById(PRICE_HISTOGRAM_SECTION_ID);
+
+      if (histogramId !== this.#histogramId || !template) return;
+
+      const prices = (template.dataset.prices ?? '')
+        .split(',')
+        // An empty list splits into an empty string, which `Number` would turn into a price of 0
+        .filter((price) => price !== '')
+        .map(Number)
+        .filter(Number.isFinite);
+
+      this.#histogram = { key, prices };
+      this.#renderHistogram();
+    } catch (error) {
+      console.error(error);
+    }
+  }
+
+  /**
+   * Renders the bars of the histogram, highlighting the ones in the selected range.
+   */
+  #renderHistogram() {
+    const { histogram, minRange, maxRange } = this.refs;
+    const rangeMax = Number(this.dataset.rangeMax);
+
+    if (!histogram || !this.#histogram || rangeMax <= 0) return;
+
+    /** @type {number[]} */
+    const counts = new Array(PRICE_HISTOGRAM_BARS).fill(0);
+    for (const price of this.#histogram.prices) {
+      const bar = Math.floor((price / rangeMax) * PRICE_HISTOGRAM_BARS);
+      const index = Math.max(0, Math.min(PRICE_HISTOGRAM_BARS - 1, bar));
+      counts[index] = (counts[index] ?? 0) + 1;
+    }
+
+    const highestCount = Math.max(...counts, 1);
+    const min = Number(minRange?.value ?? 0) * 100;
+    const max = Number(maxRange?.value ?? this.#rangeMax) * 100;
+
+    if (histogram.children.length !== PRICE_HISTOGRAM_BARS) {
+      histogram.replaceChildren(
+        ...counts.map(() => {
+          const bar = document.createElement('span');
+          bar.className = 'price-facet__bar';
+          return bar;
+        })
+      );
+    }
+
+    counts.forEach((count, index) => {
+      const bar = histogram.children[index];
+      if (!(bar instanceof HTMLElement)) return;
+
+      const start = (index / PRICE_HISTOGRAM_BARS) * rangeMax;
+      const end = ((index + 1) / PRICE_HISTOGRAM_BARS) * rangeMax;
+
+      bar.style.setProperty('--price-facet-bar-height', `${(count / highestCount) * 100}%`);
+      bar.classList.toggle('price-facet__bar--selected', end > min && start < max);
+    });
+  }
+
+  /**
+   * Formats a price for assistive technology, e.g. `$12.50`
+   * @param {number} value - The price, in the major unit of the currency
+   * @returns {string} The formatted price
+   */
+  #formatMoney(value) {
+    const template = this.dataset.moneyFormat || '{{amount}}';
+
+    return formatMoneyCents(Math.round(value * 100), template, this.dataset.currency || '');
+  }
+
   /**
    * Updates the price summary
    */
@@ -295,6 +1244,46 @@ class PriceFacetComponent extends Component {
   }
 }
 
+/**
+ * Gets how far a key moves a thumb of a slider.
+ * @param {string} key - The key.
+ * @param {number} step - The smallest step.
+ * @param {number} pageStep - The step of the Page Up and Page Down keys.
+ * @returns {number | null} The distance, infinite for Home and End, or null when the key doesn't move the thumb.
+ */
+function getSliderStep(key, step, pageStep) {
+  switch (key) {
+    case 'ArrowRight':
+    case 'ArrowUp':
+      return step;
+    case 'ArrowLeft':
+    case 'ArrowDown':
+      return -step;
+    case 'PageUp':
+      return pageStep;
+    case 'PageDown':
+      return -pageStep;
+    case 'Home':
+      return -Infinity;
+    case 'End':
+      return Infinity;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Rounds a number to a number of decimals.
+ * @param {number} value - The number.
+ * @param {number} decimals - The number of decimals.
+ * @returns {number} The rounded number.
+ */
+function roundTo(value, decimals) {
+  const factor = Math.pow(10, decimals);
+
+  return Math.round(value * factor) / factor;
+}
+
 if (!customElements.get('price-facet-component')) {
   customElements.define('price-facet-component', PriceFacetComponent);
 }
@@ -308,7 +1297,6 @@ class FacetClearComponent extends Component {
 
   connectedCallback() {
     super.connectedCallback();
-    this.addEventListener('keyup', this.#handleKeyUp);
     document.addEventListener(ThemeEvents.FilterUpdate, this.#handleFilterUpdate);
   }
 
@@ -319,26 +1307,22 @@ class FacetClearComponent extends Component {
 
   /**
    * Clears the filter
-   * @param {Event} event - The click event
+   * @param {Event} event - The click event, or the keydown event of the Enter or Space key
    */
   clearFilter(event) {
     if (!(event.target instanceof HTMLElement)) return;
 
-    if (event instanceof KeyboardEvent) {
-      if (event.key !== 'Enter' && event.key !== ' ') {
-        return;
-      }
-      event.preventDefault();
-    }
-
     const container = event.target.closest('facet-inputs-component, price-facet-component');
-    container?.querySelectorAll('[type="checkbox"]:checked, input').forEach((input) => {
+    const inputs = container?.querySelectorAll('[type="checkbox"]:checked, input:not([type="range"], [type="search"])');
+    inputs?.forEach((input) => {
       if (input instanceof HTMLInputElement) {
         input.checked = false;
         input.value = '';
       }
     });
 
+    if (container instanceof PriceFacetComponent) container.updateSlider();
+
     const details = event.target.closest('details');
     const statusComponent = details?.querySelector('facet-status-component');
 
@@ -352,15 +1336,6 @@ class FacetClearComponent extends Component {
     facetsForm.updateFilters();
   }
 
-  /**
-   * Handles keyup events
-   * @param {KeyboardEvent} event - The keyup event
-   */
-  #handleKeyUp = (event) => {
-    if (event.metaKey) return;
-    if (event.key === 'Enter') this.clearFilter(event);
-  };
-
   /**
    * Toggle clear button visibility when filters are applied. Happens before the
    * Section Rendering Request resolves.
@@ -784,64 +1759,7 @@ class FacetStatusComponent extends Component {
     const template = this.refs.moneyFormat.content.textContent || '{{amount}}';
     const currency = this.refs.facetStatus.dataset.currency || '';
 
-    return template.replace(/{{\s*(\w+)\s*}}/g, (_, placeholder) => {
-      if (typeof placeholder !== 'string') return '';
-      if (placeholder === 'currency') return currency;
-
-      let thousandsSeparator = ',';
-      let decimalSeparator = '.';
-      let precision = CURRENCY_DECIMALS[currency.toUpperCase()] ?? DEFAULT_CURRENCY_DECIMALS;
-
-      if (placeholder === 'amount') {
-        // Check first since it's the most common, use defaults.
-      } else if (placeholder === 'amount_no_decimals') {
-        precision = 0;
-      } else if (placeholder === 'amount_with_comma_separator') {
-        thousandsSeparator = '.';
-        decimalSeparator = ',';
-      } else if (placeholder === 'amount_no_decimals_with_comma_separator') {
-        // Weirdly, this is correct. It uses amount_with_comma_separator's
-        // behaviour but removes decimals, resulting in an unintuitive
-        // output that can't possibly include commas, despite the name.
-        thousandsSeparator = '.';
-        precision = 0;
-      } else if (placeholder === 'amount_no_decimals_with_space_separator') {
-        thousandsSeparator = ' ';
-        precision = 0;
-      } else if (placeholder === 'amount_with_space_separator') {
-        thousandsSeparator = ' ';
-        decimalSeparator = ',';
-      } else if (placeholder === 'amount_with_period_and_space_separator') {
-        thousandsSeparator = ' ';
-        decimalSeparator = '.';
-      } else if (placeholder === 'amount_with_apostrophe_separator') {
-        thousandsSeparator = "'";
-        decimalSeparator = '.';
-      }
-
-      return this.#formatCents(moneyValue, thousandsSeparator, decimalSeparator, precision);
-    });
-  }
-
-  /**
-   * Formats money in cents
-   * @param {number} moneyValue - The money value in cents (hundredths of one major currency unit)
-   * @param {string} thousandsSeparator - The thousands separator
-   * @param {string} decimalSeparator - The decimal separator
-   * @param {number} precision - The precision
-   * @returns {string} The formatted money value
-   */
-  #formatCents(moneyValue, thousandsSeparator, decimalSeparator, precision) {
-    const roundedNumber = (moneyValue / 100).toFixed(precision);
-
-    let [a, b] = roundedNumber.split('.');
-    if (!a) a = '0';
-    if (!b) b = '';
-
-    // Split by groups of 3 digits
-    a = a.replace(/\d(?=(\d\d\d)+(?!\d))/g, (digit) => digit + thousandsSeparator);
-
-    return precision <= 0 ? a : a + decimalSeparator + b.padEnd(precision, '0');
+    return formatMoneyCents(moneyValue, template, currency);
   }
 
   /**
@@ -855,56 +1773,3 @@ class FacetStatusComponent extends Component {
 if (!customElements.get('facet-status-component')) {
   customElements.define('facet-status-component', FacetStatusComponent);
 }
-
-/**
- * Default currency decimals used in most currenies
- * @constant {number}
- */
-const DEFAULT_CURRENCY_DECIMALS = 2;
-
-/**
- * Decimal precision for currencies that have a non-default precision
- * @type {Record<string, number>}
- */
-const CURRENCY_DECIMALS = {
-  BHD: 3,
-  BIF: 0,
-  BYR: 0,
-  CLF: 4,
-  CLP: 0,
-  DJF: 0,
-  GNF: 0,
-  IQD: 3,
-  ISK: 0,
-  JOD: 3,
-  JPY: 0,
-  KMF: 0,
-  KRW: 0,
-  KWD: 3,
-  LYD: 3,
-  MRO: 5,
-  OMR: 3,
-  PYG: 0,
-  RWF: 0,
-  TND: 3,
-  UGX: 0,
-  UYI: 0,
-  UYW: 4,
-  VND: 0,
-  VUV: 0,
-  XAF: 0,
-  XAG: 0,
-  XAU: 0,
-  XBA: 0,
-  XBB: 0,
-  XBC: 0,
-  XBD: 0,
-  XDR: 0,
-  XOF: 0,
-  XPD: 0,
-  XPF: 0,
-  XPT: 0,
-  XSU: 0,
-  XTS: 0,
-  XUA: 0,
-};
@@ -21,7 +21,12 @@ import { ThemeEvents, CartErrorEvent, CartAddEvent } from '@theme/events';
  */
 
 /**
- * @extends {Component<GiftCardRecipientFormRefs>}
+ * @typedef {Object} GiftCardRecipientFormState
+ * @property {string} mode - Delivery mode (either 'self' or 'recipient_form'), bound to the radios and fields
+ */
+
+/**
+ * @extends {Component<GiftCardRecipientFormRefs, GiftCardRecipientFormState>}
  */
 class GiftCardRecipientForm extends Component {
   static DeliveryMode = {
@@ -29,8 +34,6 @@ class GiftCardRecipientForm extends Component {
     RECIPIENT: 'recipient_form', // Send to recipient's email with form
   };
 
-  #currentMode = GiftCardRecipientForm.DeliveryMode.SELF;
-
   // Store bound event handlers for cleanup
   /** @type {(() => void) | null} */
   #updateCharacterCountBound = null;
@@ -95,9 +98,7 @@ class GiftCardRecipientForm extends Component {
    * Initialize form with default state, self delivery is selected by default
    */
   #initializeForm() {
-    this.#updateButtonStates(GiftCardRecipientForm.DeliveryMode.SELF);
-
-    this.refs.recipientFields.hidden = true;
+    this.state = { mode: GiftCardRecipientForm.DeliveryMode.SELF };
 
     this.#clearRecipientFields();
     this.#disableRecipientFields();
@@ -119,8 +120,8 @@ class GiftCardRecipientForm extends Component {
       );
     }
 
-    if (this.#currentMode === mode) return;
-    this.#currentMode = mode;
+    if (this.state.mode === mode) return;
+    this.state.mode = mode;
 
     this.#updateFormState();
   }
@@ -130,11 +131,7 @@ class GiftCardRecipientForm extends Component {
    */
   #updateFormState() {
     const { DeliveryMode } = GiftCardRecipientForm;
-    const isRecipientMode = this.#currentMode === DeliveryMode.RECIPIENT;
-
-    this.#updateButtonStates(this.#currentMode);
-
-    this.refs.recipientFields.hidden = !isRecipientMode;
+    const isRecipientMode = this.state.mode === DeliveryMode.RECIPIENT;
 
     if (isRecipientMode) {
       this.#enableRecipientFields();
@@ -147,8 +144,8 @@ class GiftCardRecipientForm extends Component {
           Theme.translations?.recipient_form_fields_visible || 'Recipient form fields are now visible';
       }
 
-      // Focus first field for accessibility
-      this.refs.recipientEmail.focus();
+      // Focus first field for accessibility, once the fields are shown
+      this.stateRendered.then(() => this.refs.recipientEmail.focus());
     } else {
       this.#clearRecipientFields();
       this.#disableRecipientFields();
@@ -163,7 +160,7 @@ class GiftCardRecipientForm extends Component {
     this.dispatchEvent(
       new CustomEvent('recipient:toggle', {
         detail: {
-          mode: this.#currentMode,
+          mode: this.state.mode,
           recipientFormVisible: isRecipientMode,
         },
         bubbles: true,
@@ -171,32 +168,6 @@ class GiftCardRecipientForm extends Component {
     );
   }
 
-  /**
-   * Update radio button states
-   * @param {string} mode - Current delivery mode
-   */
-  #updateButtonStates(mode) {
-    const { DeliveryMode } = GiftCardRecipientForm;
-
-    switch (mode) {
-      case DeliveryMode.SELF:
-        this.refs.myEmailButton.checked = true;
-        this.refs.recipientEmailButton.checked = false;
-        break;
-
-      case DeliveryMode.RECIPIENT:
-        this.refs.myEmailButton.checked = false;
-        this.refs.recipientEmailButton.checked = true;
-        break;
-
-      default:
-        console.warn(`Unknown delivery mode: ${mode}`);
-        // Default to self delivery
-        this.refs.myEmailButton.checked = true;
-        this.refs.recipientEmailButton.checked = false;
-    }
-  }
-
   /**
    * Clear all recipient form fields
    */
@@ -29,6 +29,10 @@ declare global {
       predictive_search_url: string;
       search_url: string;
     };
+    settings: {
+      recently_viewed_limit: number;
+      recently_viewed_expiry_days: number;
+    };
     utilities: {
       scheduler: {
         schedule: (task: () => void) => void;
@@ -41,6 +45,10 @@ declare global {
 
   interface Window {
     Shopify: Shopify;
+    /** The dev mode tools, see `dev-mode.js` */
+    __theme?: {
+      inspect(target?: string | Element): unknown[];
+    };
   }
 
   declare const Shopify: Shopify;
@@ -0,0 +1,124 @@
+import { Component } from '@theme/component';
+
+/**
+ * A custom element that manages a line item property field of the product form, e.g. an engraving text.
+ *
+ * The field is defined declaratively: its constraints come from the standard `required`, `maxlength`, `pattern`,
+ * `min` and `max` attributes, and it can be shown only when another property has a given value with the
+ * `data-show-when-property` and `data-show-when-value` attributes. Hidden fields are disabled so they're neither
+ * validated nor submitted.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement} field - The property input.
+ * @property {HTMLElement} error - The error message.
+ * @property {HTMLElement} [characterCount] - The character count of fields with a maximum length.
+ * @property {HTMLInputElement} [rules] - The constraints of the field, submitted for the cart properties editor.
+ *
+ * @extends {Component<Refs>}
+ */
+export class LineItemPropertyComponent extends Component {
+  requiredRefs = ['field', 'error'];
+
+  /** @type {AbortController | undefined} */
+  #abortController;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#abortController = new AbortController();
+    this.closest('form')?.addEventListener('change', this.#updateVisibility, { signal: this.#abortController.signal });
+
+    this.#updateVisibility();
+    this.#updateCharacterCount();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    this.#updateVisibility();
+    this.#updateCharacterCount();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController?.abort();
+  }
+
+  /**
+   * Handles input in the field.
+   */
+  handleInput() {
+    this.#updateCharacterCount();
+
+    if (this.hasAttribute('invalid')) this.validate();
+  }
+
+  /**
+   * Validates the field and shows its error message.
+   * @returns {boolean} True if the field is valid or hidden.
+   */
+  validate() {
+    const { field, error } = this.refs;
+
+    if (field.disabled) return true;
+
+    const valid = field.checkValidity();
+
+    this.toggleAttribute('invalid', !valid);
+    field.setAttribute('aria-invalid', String(!valid));
+    error.textContent = valid ? '' : field.validationMessage;
+    error.classList.toggle('hidden', valid);
+
+    return valid;
+  }
+
+  /**
+   * Shows the field only when the property it depends on has the expected value.
+   */
+  #updateVisibility = () => {
+    const { showWhenProperty, showWhenValue = '' } = this.dataset;
+    const form = this.closest('form');
+
+    if (!showWhenProperty || !form) return;
+
+    const values = new FormData(form).getAll(`properties[${showWhenProperty}]`);
+    const visible = values.some((value) => (showWhenValue ? value === showWhenValue : value !== ''));
+
+    this.hidden = !visible;
+    this.refs.field.disabled = !visible;
+    if (this.refs.rules) this.refs.rules.disabled = !visible;
+  };
+
+  /**
+   * Updates the character count of fields with a maximum length.
+   */
+  #updateCharacterCount() {
+    const { field, characterCount } = this.refs;
+
+    if (!characterCount || field instanceof HTMLSelectElement || field.maxLength < 0) return;
+
+    characterCount.textContent = `${field.value.length}/${field.maxLength}`;
+  }
+}
+
+if (!customElements.get('line-item-property-component')) {
+  customElements.define('line-item-property-component', LineItemPropertyComponent);
+}
+
+/**
+ * Validates every line item property of a form, moving the focus to the first invalid one.
+ * @param {Element} form - The product form, or the properties editor of a cart line.
+ * @returns {boolean} True if every property is valid.
+ */
+export function validateLineItemProperties(form) {
+  const properties = Array.from(form.querySelectorAll('line-item-property-component')).filter(
+    /** @returns {property is LineItemPropertyComponent} */
+    (property) => property instanceof LineItemPropertyComponent
+  );
+  const invalidProperties = properties.filter((property) => !property.validate());
+
+  invalidProperties[0]?.refs.field.focus();
+
+  return invalidProperties.length === 0;
+}
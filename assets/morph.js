@@ -1,4 +1,5 @@
 import { Component } from '@theme/component';
+import { onAnimationEnd, prefersReducedMotion, startViewTransition } from '@theme/utilities';
 
 /**
  * @typedef {Object} Options
@@ -9,12 +10,31 @@ import { Component } from '@theme/component';
  * @property {(oldNode: Node, newNode: Node) => boolean} [reject] - Reject a node from being morphed
  */
 
+/** @constant {string} The attribute set on an element while it plays its enter animation */
+const ENTERING_ATTRIBUTE = 'data-morph-entering';
+
+/** @constant {string} The attribute set on an element while it plays its leave animation, before it's removed */
+const LEAVING_ATTRIBUTE = 'data-morph-leaving';
+
+/**
+ * The leave animations of the elements that are being removed
+ * @type {Map<Element, Promise<void>>}
+ */
+const leavingElements = new Map();
+
+/**
+ * The leave animations started by the morphs of the current transaction
+ * @type {Promise<void>[] | null}
+ */
+let transactionLeaveAnimations = null;
+
 /**
  * The options for the morph
  * @type {Options}
  */
 const MORPH_OPTIONS = {
   childrenOnly: true,
+  getNodeKey: getDefaultNodeKey,
   reject(oldNode, newNode) {
     if (newNode.nodeType === Node.TEXT_NODE && newNode.nodeValue?.trim() === '') {
       return true;
@@ -77,8 +97,39 @@ const MORPH_OPTIONS = {
   },
 };
 
+/**
+ * Gets the key that identifies an element among its siblings, so it's moved rather than rewritten when they reorder:
+ * its `id` or `data-key` attribute.
+ * @param {Node | undefined} node - The node
+ * @returns {string | undefined} The key of the node
+ */
+export function getDefaultNodeKey(node) {
+  if (!(node instanceof Element)) return undefined;
+
+  return node.id || node.getAttribute('data-key') || undefined;
+}
+
+/**
+ * Gets the key of an element like `getDefaultNodeKey`, falling back to its `ref` attribute. Pass it as the
+ * `getNodeKey` option to morph a tree whose elements are only identified by their refs. Array refs, e.g.
+ * `ref="items[]"`, are shared by siblings and aren't keys.
+ * @param {Node | undefined} node - The node
+ * @returns {string | undefined} The key of the node
+ */
+export function getRefNodeKey(node) {
+  if (!(node instanceof Element)) return undefined;
+
+  const ref = node.getAttribute('ref');
+
+  return getDefaultNodeKey(node) || (ref && !ref.endsWith('[]') ? ref : undefined);
+}
+
 /**
  * Morphs one DOM tree into another by comparing nodes and applying minimal changes
+ *
+ * Inserted elements with a `data-morph-enter` attribute, and removed elements with a `data-morph-leave` attribute, are
+ * animated, e.g. `data-morph-leave="fade"`. They get a `data-morph-entering` or `data-morph-leaving` attribute while
+ * their animation plays, and removed elements are only removed once it ends.
  * @param {Node} oldTree - The existing DOM tree
  * @param {Node | string} newTree - The new DOM tree to morph to
  * @param {Options} [options] - Configuration options
@@ -109,6 +160,316 @@ export function morph(oldTree, newTree, options = MORPH_OPTIONS) {
   return walk(newTree, oldTree, options);
 }
 
+/**
+ * Runs several morphs in one view transition, so the changes they make animate together
+ * @param {() => void} callback - The function that morphs
+ * @param {string[]} [types] - The types of view transition to use
+ * @returns {Promise<void>} A promise that resolves when the view transition and the leave animations finish
+ */
+export async function morphTransaction(callback, types) {
+  /** @type {Promise<void>[]} */
+  const leaveAnimations = [];
+
+  await startViewTransition(() => {
+    transactionLeaveAnimations = leaveAnimations;
+
+    try {
+      callback();
+    } finally {
+      transactionLeaveAnimations = null;
+    }
+  }, types);
+
+  await Promise.allSettled(leaveAnimations);
+}
+
+/**
+ * Gets a promise that resolves when the elements being removed from a tree, e.g. by a morph, finish their leave
+ * animation and are removed
+ * @param {Node} [root] - The tree
+ * @returns {Promise<void>} A promise that resolves when the leave animations finish
+ */
+export function leaveAnimationsFinished(root = document) {
+  const animations = [];
+
+  for (const [element, animation] of leavingElements) {
+    if (root.contains(element)) animations.push(animation);
+  }
+
+  return Promise.allSettled(animations).then(() => undefined);
+}
+
+/**
+ * Plays the leave animation of an element, e.g. the one set by its `data-morph-leave` attribute, then removes it
+ * @param {Element} element - The element to remove
+ * @returns {Promise<void>} A promise that resolves when the element is removed
+ */
+export function leave(element) {
+  const leaving = leavingElements.get(element);
+  if (leaving) return leaving;
+
+  if (prefersReducedMotion() || !element.isConnected) {
+    element.remove();
+    return Promise.resolve();
+  }
+
+  // Lets the animation collapse the element from its height
+  if (element instanceof HTMLElement) element.style.setProperty('--morph-height', `${element.clientHeight}px`);
+
+  element.setAttribute(LEAVING_ATTRIBUTE, '');
+  element.setAttribute('inert', '');
+
+  const animation = onAnimationEnd(
+    element,
+    () => {
+      leavingElements.delete(element);
+      element.remove();
+    },
+    { subtree: false }
+  );
+
+  leavingElements.set(element, animation);
+  transactionLeaveAnimations?.push(animation);
+
+  return animation;
+}
+
+/**
+ * Plays the enter animation of an inserted node, if it has one
+ * @param {Node} node - The inserted node
+ */
+function enter(node) {
+  if (!(node instanceof Element) || !node.hasAttribute('data-morph-enter') || prefersReducedMotion()) return;
+
+  node.setAttribute(ENTERING_ATTRIBUTE, '');
+  onAnimationEnd(node, () => node.removeAttribute(ENTERING_ATTRIBUTE), { subtree: false });
+}
+
+/**
+ * Removes a node, after its leave animation if it has one
+ * @param {Node} parent - The parent node
+ * @param {Node} node - The node to remove
+ */
+function removeNode(parent, node) {
+  if (node instanceof Element && node.hasAttribute('data-morph-leave')) {
+    leave(node);
+  } else {
+    parent.removeChild(node);
+  }
+}
+
+/**
+ * Replaces a node with a new one, which is inserted before it while it plays its leave animation
+ * @param {Node} parent - The parent node
+ * @param {Node} newNode - The new node
+ * @param {Node} oldNode - The node to replace
+ */
+function replaceNode(parent, newNode, oldNode) {
+  if (oldNode instanceof Element && oldNode.hasAttribute('data-morph-leave')) {
+    parent.insertBefore(newNode, oldNode);
+    leave(oldNode);
+  } else {
+    parent.replaceChild(newNode, oldNode);
+  }
+
+  enter(newNode);
+}
+
+/**
+ * @param {Node} node - The node
+ * @returns {boolean} Whether the node is playing its leave animation, before it's removed
+ */
+function isLeaving(node) {
+  return node instanceof Element && leavingElements.has(node);
+}
+
+/**
+ * @typedef {Object} PreservedState
+ * @property {Element} element - The element whose state is preserved
+ * @property {string | undefined} key - The key of the element, to find it if it's replaced
+ * @property {number} index - The index of the element among the preserved ones, to find it if it's replaced
+ * @property {Map<string, boolean>} [open] - The open state of the element's `details`, by path
+ * @property {{ top: number, left: number }} [scroll] - The scroll position of the element
+ * @property {Map<string, string>} [values] - The values the customer typed in the element's fields, by path
+ * @property {{ path: string, selectionStart: number | null, selectionEnd: number | null }} [focus] - The focused
+ * element and its selection
+ */
+
+/** @constant {string} The selector of the elements whose state is preserved */
+const PRESERVE_SELECTOR = '[data-morph-preserve]';
+
+/**
+ * Snapshots the state the customer set in a tree, to restore it after a morph. Elements opt in with the
+ * `data-morph-preserve` attribute, listing the state to preserve in them:
+ * - `open`: the open `details`
+ * - `scroll`: the scroll position of the element
+ * - `value`: the values typed in text fields
+ * - `focus`: the focused element and its selection
+ * @example
+ * const restoreState = preserveState(section);
+ * morph(section, newSection);
+ * restoreState();
+ * @param {Element} root - The tree
+ * @returns {() => void} The function that restores the state
+ */
+export function preserveState(root) {
+  const snapshots = getPreservedElements(root).map(snapshotState);
+
+  return () => {
+    const elements = getPreservedElements(root);
+
+    for (const snapshot of snapshots) {
+      const { element, key, index } = snapshot;
+      const target = root.contains(element) ? element : key ? findByKey(elements, key) : elements[index];
+
+      if (target) restoreState(target, snapshot);
+    }
+  };
+}
+
+/**
+ * @param {Element} root - The tree
+ * @returns {Element[]} The elements of the tree whose state is preserved
+ */
+function getPreservedElements(root) {
+  const elements = Array.from(root.querySelectorAll(PRESERVE_SELECTOR));
+
+  if (root.matches(PRESERVE_SELECTOR)) elements.unshift(root);
+
+  return elements;
+}
+
+/**
+ * @param {Element[]} elements - The elements
+ * @param {string} key - The key
+ * @returns {Element | undefined} The element with the key
+ */
+function findByKey(elements, key) {
+  return elements.find((element) => getRefNodeKey(element) === key);
+}
+
+/**
+ * Snapshots the state of an element
+ * @param {Element} element - The element
+ * @param {number} index - The index of the element among the preserved ones
+ * @returns {PreservedState} The state
+ */
+function snapshotState(element, index) {
+  const preserve = element.getAttribute('data-morph-preserve')?.split(/\s+/) ?? [];
+  /** @type {PreservedState} */
+  const state = { element, key: getRefNodeKey(element), index };
+
+  if (preserve.includes('open')) {
+    state.open = new Map();
+
+    for (const details of [element, ...element.querySelectorAll('details')]) {
+      if (details instanceof HTMLDetailsElement) state.open.set(getPath(element, details), details.open);
+    }
+  }
+
+  if (preserve.includes('scroll')) {
+    state.scroll = { top: element.scrollTop, left: element.scrollLeft };
+  }
+
+  if (preserve.includes('value')) {
+    state.values = new Map();
+
+    for (const field of [element, ...element.querySelectorAll('input, textarea')]) {
+      // Only the values the customer typed, the others are up to date in the new markup
+      if (isTextField(field) && field.value !== field.defaultValue) {
+        state.values.set(getPath(element, field), field.value);
+      }
+    }
+  }
+
+  const { activeElement } = document;
+  if (preserve.includes('focus') && activeElement && element.contains(activeElement)) {
+    state.focus = {
+      path: getPath(element, activeElement),
+      selectionStart: isTextField(activeElement) ? activeElement.selectionStart : null,
+      selectionEnd: isTextField(activeElement) ? activeElement.selectionEnd : null,
+    };
+  }
+
+  return state;
+}
+
+/**
+ * Restores the state of an element
+ * @param {Element} element - The element, or the one that replaced it
+ * @param {PreservedState} state - The state
+ */
+function restoreState(element, state) {
+  for (const [path, open] of state.open ?? []) {
+    const details = findByPath(element, path);
+    if (details instanceof HTMLDetailsElement && details.open !== open) details.open = open;
+  }
+
+  for (const [path, value] of state.values ?? []) {
+    const field = findByPath(element, path);
+    if (isTextField(field) && field.value !== value) field.value = value;
+  }
+
+  if (state.scroll) {
+    element.scrollTop = state.scroll.top;
+    element.scrollLeft = state.scroll.left;
+  }
+
+  const { activeElement } = document;
+  if (state.focus && !(activeElement && element.contains(activeElement))) {
+    const { path, selectionStart, selectionEnd } = state.focus;
+    const target = findByPath(element, path);
+
+    if (target instanceof HTMLElement) {
+      target.focus({ preventScroll: true });
+
+      if (isTextField(target) && selectionStart !== null && selectionEnd !== null) {
+        target.setSelectionRange(selectionStart, selectionEnd);
+      }
+    }
+  }
+}
+
+/**
+ * Gets the path of an element in a tree, to find the same element after a morph
+ * @param {Element} root - The tree
+ * @param {Element} element - The element
+ * @returns {string} The path, the ID of the element or its index among the elements with its tag name
+ */
+function getPath(root, element) {
+  if (element === root) return '';
+  if (element.id) return `#${element.id}`;
+
+  return `${element.tagName}:${Array.from(root.querySelectorAll(element.tagName)).indexOf(element)}`;
+}
+
+/**
+ * @param {Element} root - The tree
+ * @param {string} path - The path of an element, see `getPath`
+ * @returns {Element | null | undefined} The element
+ */
+function findByPath(root, path) {
+  if (path === '') return root;
+  if (path.startsWith('#')) return root.querySelector(`#${CSS.escape(path.slice(1))}`);
+
+  const [tagName = '', index = ''] = path.split(':');
+
+  return root.querySelectorAll(tagName)[Number(index)];
+}
+
+/**
+ * @param {Element | null | undefined} element - The element
+ * @returns {element is HTMLInputElement | HTMLTextAreaElement} Whether the element is a field the customer types in
+ */
+function isTextField(element) {
+  if (element instanceof HTMLTextAreaElement) return true;
+
+  return (
+    element instanceof HTMLInputElement &&
+    !['checkbox', 'radio', 'hidden', 'file', 'submit', 'button'].includes(element.type)
+  );
+}
+
 /**
  * Walk and morph a dom tree
  * @param {Node} newNode - The new node to morph to
@@ -365,6 +726,8 @@ function updateChildren(newNode, oldNode, options) {
     return;
   }
 
+  const newKeys = reorderKeyedChildren(newNode, oldNode, options);
+
   let oldChild, newChild, morphed, oldMatch;
   let offset = 0;
 
@@ -377,9 +740,15 @@ function updateChildren(newNode, oldNode, options) {
       break;
     }
 
+    // The old child is being removed, skip it
+    if (oldChild && isLeaving(oldChild)) {
+      offset++;
+      continue;
+    }
+
     // There is no new child, remove old
     if (!newChild) {
-      oldChild && oldNode.removeChild(oldChild);
+      oldChild && removeNode(oldNode, oldChild);
       i--;
       continue;
     }
@@ -387,6 +756,7 @@ function updateChildren(newNode, oldNode, options) {
     // There is no old child, add new
     if (!oldChild) {
       oldNode.appendChild(newChild);
+      enter(newChild);
       offset++;
       continue;
     }
@@ -395,7 +765,7 @@ function updateChildren(newNode, oldNode, options) {
     if (same(newChild, oldChild, options)) {
       morphed = walk(newChild, oldChild, options);
       if (morphed !== oldChild) {
-        oldNode.replaceChild(morphed, oldChild);
+        replaceNode(oldNode, morphed, oldChild);
         offset++;
       }
       continue;
@@ -407,12 +777,20 @@ function updateChildren(newNode, oldNode, options) {
       continue;
     }
 
+    // Remove the old nodes that can't match any new node, rather than moving the following nodes before them
+    const oldKey = getNodeKey(oldChild, options);
+    if ((oldKey && newKeys && !newKeys.has(oldKey)) || isWhitespace(oldChild)) {
+      removeNode(oldNode, oldChild);
+      i--;
+      continue;
+    }
+
     // Try to find a matching node to reorder
     oldMatch = null;
     for (let j = i; j < oldNode.childNodes.length; j++) {
       const potentialOldNode = oldNode.childNodes[j];
 
-      if (potentialOldNode && same(potentialOldNode, newChild, options)) {
+      if (potentialOldNode && !isLeaving(potentialOldNode) && same(potentialOldNode, newChild, options)) {
         oldMatch = potentialOldNode;
         break;
       }
@@ -420,23 +798,157 @@ function updateChildren(newNode, oldNode, options) {
 
     if (oldMatch) {
       morphed = walk(newChild, oldMatch, options);
-      if (morphed !== oldMatch) offset++;
-      oldNode.insertBefore(morphed, oldChild);
+      moveBefore(oldNode, morphed, oldChild);
+      if (morphed !== oldMatch) {
+        enter(morphed);
+        offset++;
+      }
     } else if (!getNodeKey(newChild, options) && !getNodeKey(oldChild, options)) {
       // Safe to morph in-place if neither has a key
       morphed = walk(newChild, oldChild, options);
       if (morphed !== oldChild) {
-        oldNode.replaceChild(morphed, oldChild);
+        replaceNode(oldNode, morphed, oldChild);
         offset++;
       }
     } else {
       // Insert the node if we couldn't morph or find a match
       oldNode.insertBefore(newChild, oldChild);
+      enter(newChild);
       offset++;
     }
   }
 }
 
+/**
+ * Moves the keyed old children into the order of the new children, before they're morphed. The children in the longest
+ * increasing subsequence of their old positions stay in place and the others are moved around them, so the fewest
+ * elements are moved, and the moved ones keep their state where the browser supports it.
+ * @param {Node} newNode - The new node
+ * @param {Node} oldNode - The existing node
+ * @param {Options} options - The options object
+ * @returns {Set<string | number> | null} The keys of the new children, or null when the keys aren't unique
+ */
+function reorderKeyedChildren(newNode, oldNode, options) {
+  /** @type {Set<string | number>} */
+  const newKeys = new Set();
+  /** @type {Map<string | number, { node: ChildNode, index: number }>} */
+  const oldChildrenByKey = new Map();
+  let hasDuplicateKeys = false;
+
+  for (const child of newNode.childNodes) {
+    const key = getNodeKey(child, options);
+    if (!key) continue;
+
+    if (newKeys.has(key)) hasDuplicateKeys = true;
+    newKeys.add(key);
+  }
+
+  if (newKeys.size === 0) return newKeys;
+
+  for (const [index, child] of Array.from(oldNode.childNodes).entries()) {
+    const key = getNodeKey(child, options);
+    if (!key || isLeaving(child)) continue;
+
+    if (oldChildrenByKey.has(key)) hasDuplicateKeys = true;
+    oldChildrenByKey.set(key, { node: child, index });
+  }
+
+  // Without unique keys, the children are matched by position
+  if (hasDuplicateKeys) return null;
+
+  /** @type {{ node: ChildNode, index: number }[]} */
+  const matches = [];
+  for (const key of newKeys) {
+    const match = oldChildrenByKey.get(key);
+    if (match) matches.push(match);
+  }
+
+  const stable = longestIncreasingSubsequence(matches.map(({ index }) => index));
+  const lastMatch = matches.reduce((last, match) => (!last || match.index > last.index ? match : last), matches[0]);
+
+  // Going backwards, each child that moves goes before the next child, which is already in place
+  /** @type {ChildNode | null} */
+  let next = null;
+  for (let index = matches.length - 1; index >= 0; index--) {
+    const match = matches[index];
+    if (!match) continue;
+
+    if (!stable.has(index)) {
+      moveBefore(oldNode, match.node, next ?? lastMatch?.node.nextSibling ?? null);
+    }
+
+    next = match.node;
+  }
+
+  return newKeys;
+}
+
+/**
+ * Finds the longest increasing subsequence of a list of numbers
+ * @param {number[]} values - The numbers
+ * @returns {Set<number>} The indices of the numbers in the subsequence
+ */
+function longestIncreasingSubsequence(values) {
+  /** @type {number[]} The index of the last value of the best subsequence of each length */
+  const tails = [];
+  /** @type {number[]} The index of the value before each value in its subsequence */
+  const previous = [];
+
+  for (const [index, value] of values.entries()) {
+    let low = 0;
+    let high = tails.length;
+
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if ((values[tails[middle] ?? 0] ?? 0) < value) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+
+    previous[index] = low > 0 ? (tails[low - 1] ?? -1) : -1;
+    tails[low] = index;
+  }
+
+  /** @type {Set<number>} */
+  const subsequence = new Set();
+  for (let index = tails[tails.length - 1] ?? -1; index !== -1; index = previous[index] ?? -1) {
+    subsequence.add(index);
+  }
+
+  return subsequence;
+}
+
+/**
+ * Moves a node before another one, keeping its state, e.g. focus or a playing video, where the browser supports it
+ * @param {Node} parent - The parent node
+ * @param {Node} node - The node to move
+ * @param {Node | null} referenceNode - The node to move it before, or null to move it to the end
+ */
+function moveBefore(parent, node, referenceNode) {
+  if (node === referenceNode) return;
+
+  if ('moveBefore' in parent && typeof parent.moveBefore === 'function' && node.isConnected && parent.isConnected) {
+    try {
+      parent.moveBefore(node, referenceNode);
+      return;
+    } catch {
+      // Fall back to a regular insertion, e.g. for nodes from another document
+    }
+  }
+
+  parent.insertBefore(node, referenceNode);
+}
+
+/**
+ * @param {Node} node - The node
+ * @returns {boolean} Whether the node is a text node with only whitespace
+ */
+function isWhitespace(node) {
+  return node.nodeType === Node.TEXT_NODE && node.nodeValue?.trim() === '';
+}
+
 /**
  * Check if two nodes are the same
  * @param {Node} a - The first node
@@ -0,0 +1,284 @@
+import { cartStore } from '@theme/cart-store';
+import { CartAddEvent, CartErrorEvent } from '@theme/events';
+import { onDocumentLoaded } from '@theme/utilities';
+
+/**
+ * @typedef {Object} PendingCartAddition
+ * @property {string} id - The unique ID of the addition
+ * @property {[string, string][]} entries - The product form payload
+ * @property {string} [productId] - The ID of the product being added
+ * @property {number} quantity - The quantity being added
+ * @property {number} attempts - The number of failed attempts so far
+ * @property {number} createdAt - When the addition was first attempted
+ */
+
+/**
+ * Persists cart additions that failed because the shopper was offline, and replays them once they're back online.
+ *
+ * Additions are stored in localStorage so they survive navigations and reloads. Each one is retried with an
+ * exponential backoff until the server either accepts or rejects it.
+ */
+export class PendingCartAdditions {
+  /** @static @constant {string} The key used to store the pending additions in local storage */
+  static #STORAGE_KEY = 'pendingCartAdditions';
+  /** @static @constant {string} The key used to hand the outcome of a replay over to the tab that made the addition */
+  static #SETTLED_KEY = 'settledCartAdditions';
+  /** @static @constant {number} How long the outcome of a replay is kept for the tab that made the addition */
+  static #SETTLED_MAX_AGE = 60 * 1000;
+  /** @static @constant {number} The age after which a pending addition is dropped instead of replayed */
+  static #MAX_AGE = 24 * 60 * 60 * 1000;
+  /** @static @constant {number} The delay before the first retry, doubled on every failed attempt */
+  static #BASE_RETRY_DELAY = 2000;
+  /** @static @constant {number} The maximum delay between two retries */
+  static #MAX_RETRY_DELAY = 60000;
+
+  /**
+   * The callers waiting on an addition made from the current page, by addition ID
+   * @type {Map<string, (response: Record<string, any>) => void>}
+   */
+  static #waiting = new Map();
+
+  /** @type {number | undefined} */
+  static #retryTimeout;
+
+  static #replaying = false;
+
+  /**
+   * Stores a cart addition to be replayed once the shopper is back online.
+   * @param {FormData} formData - The product form data that failed to submit.
+   * @param {string} [productId] - The ID of the product being added.
+   * @returns {Promise<Record<string, any>>} The cart response, once the addition has been replayed.
+   */
+  static add(formData, productId) {
+    /** @type {PendingCartAddition} */
+    const addition = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+      // Files can't be persisted, only the text fields of the form are replayed
+      entries: [...formData.entries()].filter(
+        /** @returns {entry is [string, string]} */ (entry) => typeof entry[1] === 'string'
+      ),
+      productId,
+      quantity: Number(formData.get('quantity')) || 1,
+      attempts: 0,
+      createdAt: Date.now(),
+    };
+
+    this.#save([...this.getAdditions(), addition]);
+    this.#scheduleReplay();
+
+    // Another tab may replay the addition, this one only sees it disappear from the storage
+    window.addEventListener('storage', this.#onStorage);
+
+    return new Promise((resolve) => {
+      this.#waiting.set(addition.id, resolve);
+    });
+  }
+
+  /**
+   * Retrieves the pending additions, dropping the ones that are too old to replay.
+   * @returns {PendingCartAddition[]} The pending additions.
+   */
+  static getAdditions() {
+    return this.#read().filter((addition) => Date.now() - addition.createdAt < this.#MAX_AGE);
+  }
+
+  /**
+   * Sends the pending additions to the cart, in the order they were made.
+   */
+  static async replay() {
+    if (this.#replaying || !navigator.onLine || !this.getAdditions().length) return;
+
+    this.#replaying = true;
+    clearTimeout(this.#retryTimeout);
+
+    let replayed = false;
+
+    try {
+      // Other tabs share the same storage, the lock makes sure an addition is only replayed once. Browsers without
+      // the Web Locks API replay without it, risking a duplicate when several tabs come back online at once.
+      replayed =
+        'locks' in navigator
+          ? await navigator.locks.request(this.#STORAGE_KEY, () => this.#replayAdditions())
+          : await this.#replayAdditions();
+    } finally {
+      this.#replaying = false;
+    }
+
+    // The additions made during the replay were left for the next one
+    if (replayed && this.getAdditions().length) this.#scheduleReplay();
+  }
+
+  /**
+   * Replays the pending additions one at a time, stopping at the first one that fails to reach the server.
+   * @returns {Promise<boolean>} False if the replay stopped early and was rescheduled.
+   */
+  static async #replayAdditions() {
+    for (const addition of this.getAdditions()) {
+      const formData = new FormData();
+      addition.entries.forEach(([name, value]) => formData.append(name, value));
+
+      let response;
+
+      try {
+        response = await cartStore.add(formData);
+      } catch (error) {
+        if (isNetworkError(error)) {
+          // Still offline, try again later, keeping the following additions in order
+          this.#update(addition.id, { attempts: addition.attempts + 1 });
+          this.#scheduleReplay(addition.attempts + 1);
+          return false;
+        }
+
+        // The server was reached but couldn't handle the addition, e.g. an error page instead of JSON. Replaying it
+        // wouldn't do any better.
+        console.error(error);
+        response = { status: 'error', message: Theme.translations.add_to_cart_failed };
+      }
+
+      if (!this.#waiting.has(addition.id)) this.#handOver(addition.id, response);
+
+      this.#remove(addition.id);
+      this.#complete(addition, response);
+    }
+
+    return true;
+  }
+
+  /**
+   * Reports a replayed addition to its caller, or to the whole page if it was made from a previous page.
+   * @param {PendingCartAddition} addition - The replayed addition.
+   * @param {Record<string, any>} response - The cart response.
+   */
+  static #complete(addition, response) {
+    const resolve = this.#waiting.get(addition.id);
+
+    if (resolve) {
+      this.#waiting.delete(addition.id);
+      resolve(response);
+      return;
+    }
+
+    const variantId = addition.entries.find(([name]) => name === 'id')?.[1] ?? '';
+
+    if (response.status) {
+      document.dispatchEvent(new CartErrorEvent(variantId, response.message, response.description, response.errors));
+    }
+
+    document.dispatchEvent(
+      new CartAddEvent({}, variantId, {
+        didError: !!response.status,
+        source: 'product-form-component',
+        itemCount: addition.quantity,
+        productId: addition.productId,
+        sections: response.sections,
+      })
+    );
+  }
+
+  /**
+   * Keeps the outcome of a replay for the tab that made the addition, which may still be waiting on it.
+   * @param {string} id - The ID of the replayed addition.
+   * @param {Record<string, any>} response - The cart response.
+   */
+  static #handOver(id, response) {
+    /** @type {Record<string, { settledAt: number, response: Record<string, any> }>} */
+    const settled = JSON.parse(localStorage.getItem(this.#SETTLED_KEY) || '{}');
+
+    for (const [settledId, { settledAt }] of Object.entries(settled)) {
+      if (Date.now() - settledAt > this.#SETTLED_MAX_AGE) delete settled[settledId];
+    }
+
+    // The sections are left out, they're rendered for the replaying page and the other one renders its own
+    const { status, message, description, errors } = response;
+    settled[id] = { settledAt: Date.now(), response: { status, message, description, errors } };
+
+    localStorage.setItem(this.#SETTLED_KEY, JSON.stringify(settled));
+  }
+
+  /**
+   * Settles the additions made from this page that another tab has replayed.
+   * @param {StorageEvent} event - The storage event.
+   */
+  static #onStorage = (event) => {
+    if (event.key !== this.#STORAGE_KEY && event.key !== null) return;
+
+    const pending = new Set(this.#read().map(({ id }) => id));
+    const replayed = [...this.#waiting].filter(([id]) => !pending.has(id));
+
+    if (!replayed.length) return;
+
+    /** @type {Record<string, { response: Record<string, any> }>} */
+    const settled = JSON.parse(localStorage.getItem(this.#SETTLED_KEY) || '{}');
+
+    // The other tab updated its own copy of the cart
+    cartStore.refresh().catch(() => {});
+
+    for (const [id, resolve] of replayed) {
+      this.#waiting.delete(id);
+      resolve(settled[id]?.response ?? {});
+    }
+
+    if (!this.#waiting.size) window.removeEventListener('storage', this.#onStorage);
+  };
+
+  /**
+   * Schedules the next replay attempt.
+   * @param {number} [attempts] - The number of failed attempts so far.
+   */
+  static #scheduleReplay(attempts = 0) {
+    clearTimeout(this.#retryTimeout);
+
+    // The `online` listener takes over while the browser knows it's offline
+    if (!navigator.onLine) return;
+
+    const delay = Math.min(this.#BASE_RETRY_DELAY * 2 ** attempts, this.#MAX_RETRY_DELAY);
+    this.#retryTimeout = setTimeout(() => this.replay().catch((error) => console.error(error)), delay);
+  }
+
+  /**
+   * Updates a pending addition.
+   * @param {string} id - The ID of the addition.
+   * @param {Partial<PendingCartAddition>} changes - The changes to apply.
+   */
+  static #update(id, changes) {
+    this.#save(this.getAdditions().map((addition) => (addition.id === id ? { ...addition, ...changes } : addition)));
+  }
+
+  /**
+   * Removes a pending addition.
+   * @param {string} id - The ID of the addition.
+   */
+  static #remove(id) {
+    this.#save(this.getAdditions().filter((addition) => addition.id !== id));
+  }
+
+  /**
+   * @returns {PendingCartAddition[]} The stored additions, including the ones that are too old to replay.
+   */
+  static #read() {
+    return JSON.parse(localStorage.getItem(this.#STORAGE_KEY) || '[]');
+  }
+
+  /**
+   * @param {PendingCartAddition[]} additions - The additions to store.
+   */
+  static #save(additions) {
+    if (additions.length) {
+      localStorage.setItem(this.#STORAGE_KEY, JSON.stringify(additions));
+    } else {
+      localStorage.removeItem(this.#STORAGE_KEY);
+    }
+  }
+}
+
+/**
+ * Checks if an error was caused by the network rather than the server.
+ * @param {unknown} error - The error to check.
+ * @returns {boolean} True if the request never reached the server.
+ */
+export function isNetworkError(error) {
+  return !navigator.onLine || error instanceof TypeError;
+}
+
+window.addEventListener('online', () => PendingCartAdditions.replay().catch((error) => console.error(error)));
+onDocumentLoaded(() => PendingCartAdditions.replay().catch((error) => console.error(error)));
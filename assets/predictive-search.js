@@ -56,6 +56,8 @@ class PredictiveSearchComponent extends Component {
       document.addEventListener(ThemeEvents.megaMenuHover, this.#blurSearch, { signal });
     }
 
+    document.addEventListener(ThemeEvents.recentlyViewedUpdate, this.#handleRecentlyViewedUpdate, { signal });
+
     onDocumentLoaded(this.#getRecentlyViewed);
   }
 
@@ -385,6 +387,20 @@ class PredictiveSearchComponent extends Component {
     collectionElement.prepend(...recentlyViewedProductsHtml.children);
   };
 
+  /**
+   * Handles the recently viewed products changing in another tab, only while they're shown, i.e. nothing was searched.
+   */
+  #handleRecentlyViewedUpdate = () => {
+    if (this.refs.searchInput.value.length > 0) return;
+
+    if (RecentlyViewed.getProducts().length === 0) {
+      this.refs.recentlyViewedWrapper?.remove();
+      return;
+    }
+
+    this.#getRecentlyViewed();
+  };
+
   #hideResetButton() {
     const { resetButton } = this.refs;
 
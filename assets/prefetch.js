@@ -0,0 +1,164 @@
+import { requestIdleCallback } from '@theme/utilities';
+
+/**
+ * @typedef {Object} IntentOptions
+ * @property {boolean} [viewport] - Whether an element staying in the viewport is an intent too
+ * @property {AbortSignal} [signal] - Stops watching for intents when aborted
+ */
+
+/** @constant {number} The number of prefetches that run at once, across every component */
+const MAX_CONCURRENT_PREFETCHES = 2;
+
+/** @constant {number} The number of milliseconds an element stays in the viewport before it's prefetched */
+const VIEWPORT_DWELL_TIME = 1500;
+
+/**
+ * Prefetches what the customer is likely to open next, when they point at it, focus it, or keep it in the viewport.
+ *
+ * Prefetches share a concurrency budget, so they don't compete with the requests the customer is waiting for, and are
+ * skipped when the customer asked to save data or is on a slow connection.
+ */
+class Prefetcher {
+  /**
+   * The queued prefetches by key, run in order as the budget allows
+   * @type {Map<string, () => Promise<unknown>>}
+   */
+  #queue = new Map();
+
+  /**
+   * The keys of the prefetches that are running
+   * @type {Set<string>}
+   */
+  #running = new Set();
+
+  /**
+   * The callbacks of the elements watched in the viewport
+   * @type {Map<Element, () => void>}
+   */
+  #viewportCallbacks = new Map();
+
+  /**
+   * The timers of the elements in the viewport, until they're prefetched
+   * @type {Map<Element, ReturnType<typeof setTimeout>>}
+   */
+  #viewportTimers = new Map();
+
+  /** @type {IntersectionObserver | undefined} */
+  #observer;
+
+  /**
+   * Whether prefetching is allowed on the customer's connection
+   * @returns {boolean}
+   */
+  get enabled() {
+    /** @type {{ saveData?: boolean, effectiveType?: string } | undefined} */
+    const connection = Reflect.get(navigator, 'connection');
+
+    if (connection?.saveData) return false;
+
+    return !connection?.effectiveType?.endsWith('2g');
+  }
+
+  /**
+   * Calls a function whenever the customer shows an intent to open an element.
+   * @param {Element} element - The element.
+   * @param {() => void} callback - The function that prefetches what the element opens.
+   * @param {IntentOptions} [options] - The options.
+   */
+  onIntent(element, callback, { viewport = false, signal } = {}) {
+    if (signal?.aborted) return;
+
+    element.addEventListener('pointerenter', callback, { signal });
+    element.addEventListener('focusin', callback, { signal });
+
+    if (!viewport) return;
+
+    this.#viewportCallbacks.set(element, callback);
+    this.#getObserver().observe(element);
+
+    signal?.addEventListener('abort', () => this.#unobserve(element), { once: true });
+  }
+
+  /**
+   * Queues a prefetch, unless one with the same key is already queued or running.
+   * @param {string} key - The key of the prefetch, e.g. its URL.
+   * @param {() => Promise<unknown>} task - The function that prefetches.
+   */
+  prefetch(key, task) {
+    if (!key || !this.enabled) return;
+    if (this.#queue.has(key) || this.#running.has(key)) return;
+
+    this.#queue.set(key, task);
+    this.#next();
+  }
+
+  /**
+   * Runs the next queued prefetch, if the budget allows.
+   */
+  #next() {
+    if (this.#running.size >= MAX_CONCURRENT_PREFETCHES) return;
+
+    const [entry] = this.#queue;
+    if (!entry) return;
+
+    const [key, task] = entry;
+
+    this.#queue.delete(key);
+    this.#running.add(key);
+
+    task()
+      .catch(() => {
+        // A failed prefetch is retried by the actual request
+      })
+      .finally(() => {
+        this.#running.delete(key);
+        this.#next();
+      });
+  }
+
+  /**
+   * @returns {IntersectionObserver} The observer shared by every element watched in the viewport.
+   */
+  #getObserver() {
+    this.#observer ??= new IntersectionObserver(this.#handleIntersection, { threshold: 0.5 });
+
+    return this.#observer;
+  }
+
+  /**
+   * Prefetches the elements that stay in the viewport long enough.
+   * @param {IntersectionObserverEntry[]} entries - The intersection entries.
+   */
+  #handleIntersection = (entries) => {
+    for (const { target, isIntersecting } of entries) {
+      clearTimeout(this.#viewportTimers.get(target));
+      this.#viewportTimers.delete(target);
+
+      if (!isIntersecting) continue;
+
+      const timer = setTimeout(() => {
+        const callback = this.#viewportCallbacks.get(target);
+
+        this.#unobserve(target);
+
+        if (callback) requestIdleCallback(callback);
+      }, VIEWPORT_DWELL_TIME);
+
+      this.#viewportTimers.set(target, timer);
+    }
+  };
+
+  /**
+   * Stops watching an element in the viewport.
+   * @param {Element} element - The element.
+   */
+  #unobserve(element) {
+    clearTimeout(this.#viewportTimers.get(element));
+
+    this.#viewportTimers.delete(element);
+    this.#viewportCallbacks.delete(element);
+    this.#observer?.unobserve(element);
+  }
+}
+
+export const prefetcher = new Prefetcher();
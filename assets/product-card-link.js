@@ -1,11 +1,28 @@
+import { speculationRules } from '@theme/speculation-rules';
+import { prefetcher } from '@theme/prefetch';
+import { sectionRenderer } from '@theme/section-renderer';
+
 // Create a new custom element for product links with images for transitions to PDP
 class ProductCardLink extends HTMLElement {
+  /** @type {AbortController | null} */
+  #speculationAbortController = null;
+
   connectedCallback() {
     this.addEventListener('click', this.#handleClick);
+
+    // The product page is prerendered, so the transition starts without waiting for it
+    this.#speculationAbortController = new AbortController();
+    speculationRules.observe(this, () => this.querySelector('a')?.href, {
+      signal: this.#speculationAbortController.signal,
+    });
+
+    // The product page is cached for quick add as soon as the customer points at the card
+    prefetcher.onIntent(this, this.#prefetch, { signal: this.#speculationAbortController.signal });
   }
 
   disconnectedCallback() {
     this.removeEventListener('click', this.#handleClick);
+    this.#speculationAbortController?.abort();
   }
 
   get productTransitionEnabled() {
@@ -16,6 +33,16 @@ class ProductCardLink extends HTMLElement {
     return this.getAttribute('data-featured-media-url');
   }
 
+  /**
+   * Prefetches the product page, keeping it in the section renderer cache
+   */
+  #prefetch = () => {
+    const url = this.querySelector('a')?.href;
+    if (!url) return;
+
+    prefetcher.prefetch(url, () => sectionRenderer.getPageHTML(url));
+  };
+
   /**
    * Handles the click event for the product link
    * @param {Event} event
@@ -1,8 +1,17 @@
 import { Component } from '@theme/component';
-import { fetchConfig, onAnimationEnd, preloadImage } from '@theme/utilities';
+import { onAnimationEnd, preloadImage } from '@theme/utilities';
 import { ThemeEvents, CartAddEvent, CartErrorEvent, VariantUpdateEvent } from '@theme/events';
 import { cartPerformance } from '@theme/performance';
 import { morph } from '@theme/morph';
+import { cartStore } from '@theme/cart-store';
+import { PendingCartAdditions, isNetworkError } from '@theme/pending-cart-additions';
+import { validateLineItemProperties } from '@theme/line-item-properties';
+
+/** @typedef {import('./cart-store').CartLineInput} CartLineInput */
+
+/**
+ * @typedef {CartLineInput & { productId?: string }} CartLine
+ */
 
 export const ADD_TO_CART_TEXT_ANIMATION_DURATION = 2000;
 
@@ -50,6 +59,14 @@ export class AddToCartComponent extends Component {
     this.refs.addToCartButton.disabled = false;
   }
 
+  /**
+   * Shows the button as pending while the addition waits for the shopper to be back online.
+   * @param {boolean} pending - Whether the addition is pending.
+   */
+  setPending(pending) {
+    this.toggleAttribute('pending', pending);
+  }
+
   /**
    * Handles the click event for the add to cart button.
    * @param {MouseEvent & {target: HTMLElement}} event - The click event.
@@ -112,13 +129,15 @@ export class AddToCartComponent extends Component {
 
   /**
    * Checks if the form is valid when the user adds an item to cart.
-   * Currently only checks the gift card recipient form.
+   * Checks the line item properties and the gift card recipient form.
    * @returns {boolean} - True if the form is valid, false otherwise.
    */
   #checkFormValidity() {
     const form = this.closest('form');
     if (!form) return true;
 
+    if (!validateLineItemProperties(form)) return false;
+
     const allInputs = Array.from(form.querySelectorAll('input, select, textarea')).filter((input) =>
       input.id.includes('Recipient')
     );
@@ -163,7 +182,7 @@ if (!customElements.get('add-to-cart-component')) {
  *
  * @extends Component<ProductFormRefs>
  */
-class ProductFormComponent extends Component {
+export class ProductFormComponent extends Component {
   requiredRefs = ['variantId', 'liveRegion'];
   #abortController = new AbortController();
 
@@ -185,6 +204,42 @@ class ProductFormComponent extends Component {
     this.#abortController.abort();
   }
 
+  /**
+   * Adds several lines to the cart in a single `items[]` request and reports them with a single `CartAddEvent`.
+   * The request is all or nothing: if any line can't be added, none of them are.
+   *
+   * @param {CartLine[]} lines - The lines to add.
+   * @param {Element} source - The element dispatching the cart events.
+   * @returns {Promise<Record<string, any>>} The server response, which holds a `status` if the lines could not be added.
+   */
+  static async addLines(lines, source) {
+    const sections = new Set();
+    for (const item of document.querySelectorAll('cart-items-component')) {
+      if (item instanceof HTMLElement && item.dataset.sectionId) sections.add(item.dataset.sectionId);
+    }
+
+    const response = await cartStore.addItems(
+      lines.map(({ id, quantity, properties }) => ({ id, quantity, properties })),
+      Array.from(sections)
+    );
+
+    if (response.status) {
+      source.dispatchEvent(new CartErrorEvent(source.id, response.message, response.description, response.errors));
+      return response;
+    }
+
+    source.dispatchEvent(
+      new CartAddEvent({}, source.id, {
+        source: source.localName,
+        itemCount: lines.reduce((count, line) => count + line.quantity, 0),
+        items: lines.map(({ id, quantity, productId }) => ({ variantId: id, quantity, productId })),
+        sections: response.sections,
+      })
+    );
+
+    return response;
+  }
+
   /**
    * Handles the submit event for the product form.
    *
@@ -205,6 +260,9 @@ class ProductFormComponent extends Component {
 
     if (!form) throw new Error('Product form element missing');
 
+    // The errors are shown next to the fields, the form isn't submitted until they're fixed
+    if (!validateLineItemProperties(form)) return;
+
     const formData = new FormData(form);
 
     const cartItemsComponents = document.querySelectorAll('cart-items-component');
@@ -216,16 +274,13 @@ class ProductFormComponent extends Component {
       formData.append('sections', cartItemComponentsSectionIds.join(','));
     });
 
-    const fetchCfg = fetchConfig('javascript', { body: formData });
+    cartStore
+      .add(formData)
+      .catch((error) => {
+        if (!isNetworkError(error)) throw error;
 
-    fetch(Theme.routes.cart_add_url, {
-      ...fetchCfg,
-      headers: {
-        ...fetchCfg.headers,
-        Accept: 'text/html',
-      },
-    })
-      .then((response) => response.json())
+        return this.#addWhenOnline(formData);
+      })
       .then((response) => {
         if (response.status) {
           this.dispatchEvent(
@@ -309,6 +364,54 @@ class ProductFormComponent extends Component {
       });
   }
 
+  /**
+   * Keeps a cart addition that couldn't reach the server, showing it as pending until it's replayed.
+   * @param {FormData} formData - The product form data.
+   * @returns {Promise<Record<string, any>>} The cart response, once the addition has been replayed.
+   */
+  async #addWhenOnline(formData) {
+    const { addToCartButtonContainer } = this.refs;
+
+    addToCartButtonContainer?.setPending(true);
+    this.#setLiveRegionText(Theme.translations.add_to_cart_pending);
+
+    try {
+      return await PendingCartAdditions.add(formData, this.dataset.productId);
+    } finally {
+      addToCartButtonContainer?.setPending(false);
+    }
+  }
+
+  /**
+   * Gets the cart line for the current selection, so it can be added to the cart along with other products.
+   * @returns {CartLine | null} The cart line, or null if the selection can't be added.
+   * @throws {InvalidLineItemPropertiesError} If a line item property is invalid, its error is shown next to it.
+   */
+  getCartLine() {
+    const form = this.querySelector('form');
+    if (!form || this.refs.addToCartButtonContainer?.refs.addToCartButton?.disabled) return null;
+
+    if (!validateLineItemProperties(form)) throw new InvalidLineItemPropertiesError(this);
+
+    const formData = new FormData(form);
+    const id = Number(formData.get('id'));
+    if (!id) return null;
+
+    /** @type {Record<string, string>} */
+    const properties = {};
+    for (const [name, value] of formData.entries()) {
+      const match = name.match(/^properties\[(.+)\]$/);
+      if (match?.[1] && typeof value === 'string') properties[match[1]] = value;
+    }
+
+    return {
+      id,
+      quantity: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault) || 1,
+      properties,
+      productId: this.dataset.productId,
+    };
+  }
+
   /**
    * @param {*} text
    */
@@ -486,3 +589,15 @@ function bezierPoint(t, p0, p1, p2, p3) {
 if (!customElements.get('fly-to-cart')) {
   customElements.define('fly-to-cart', FlyToCart);
 }
+
+/**
+ * Throws a formatted error when the line item properties of a product form are invalid.
+ */
+export class InvalidLineItemPropertiesError extends Error {
+  /**
+   * @param {ProductFormComponent} productForm
+   */
+  constructor(productForm) {
+    super(`Invalid line item properties in the product form of product ${productForm.dataset.productId}`);
+  }
+}
@@ -1,3 +1,7 @@
+import { ProductFormComponent } from '@theme/product-form';
+import { QuickAddComponent } from '@theme/quick-add';
+import { cartStore } from '@theme/cart-store';
+
 class ProductRecommendations extends HTMLElement {
   /**
    * The observer for the product recommendations
@@ -47,9 +51,73 @@ class ProductRecommendations extends HTMLElement {
    */
   #activeFetch = null;
 
+  /**
+   * Stops clearing the cache when the cart changes
+   * @type {(() => void) | undefined}
+   */
+  #unsubscribeFromCart;
+
   connectedCallback() {
     this.#intersectionObserver.observe(this);
     this.#mutationObserver.observe(this, { attributes: true });
+    this.addEventListener('click', this.#handleClick);
+
+    // Recommendations rendered for the cart, e.g. skipping the products in it, are stale once it changes
+    if (this.dataset.cacheTags?.split(/\s+/).includes('cart')) {
+      this.#unsubscribeFromCart = cartStore.subscribe((cart, previousCart) => {
+        if (previousCart) this.#cachedRecommendations = {};
+      });
+    }
+  }
+
+  disconnectedCallback() {
+    this.#unsubscribeFromCart?.();
+  }
+
+  /**
+   * Adds the recommended products that are in the button's list
+   * @param {MouseEvent} event
+   */
+  #handleClick = async (event) => {
+    const button = event.target instanceof Element ? event.target.closest('[data-add-all]') : null;
+    if (!(button instanceof HTMLButtonElement)) return;
+
+    const error = this.querySelector('[data-add-all-error]');
+    button.disabled = true;
+    error?.classList.add('hidden');
+
+    try {
+      const response = await this.addToCart();
+
+      if (response?.status && error) {
+        error.textContent = response.message;
+        error.classList.remove('hidden');
+      }
+    } catch (e) {
+      console.error(e);
+    } finally {
+      button.disabled = false;
+    }
+  };
+
+  /**
+   * Adds the variants selected on the recommended product cards to the cart in a single request
+   * @returns {Promise<Record<string, any> | null>} The server response, or null if there was nothing to add
+   */
+  async addToCart() {
+    /** @type {Map<string | undefined, import('./product-form').CartLine>} */
+    const lines = new Map();
+
+    for (const quickAdd of this.querySelectorAll('quick-add-component')) {
+      const line = quickAdd instanceof QuickAddComponent ? quickAdd.getCartLine() : null;
+
+      // The mobile carousel renders every product card a second time
+      if (line && !lines.has(line.productId)) lines.set(line.productId, line);
+    }
+
+    if (!lines.size) return null;
+
+    return ProductFormComponent.addLines(Array.from(lines.values()), this);
   }
 
   /**
@@ -87,6 +155,9 @@ class ProductRecommendations extends HTMLElement {
         if (recommendations?.innerHTML && recommendations.innerHTML.trim().length) {
           this.dataset.recommendationsPerformed = 'true';
           this.innerHTML = recommendations.innerHTML;
+          // A previous product may have had no recommendations
+          this.classList.remove('hidden');
+          delete this.dataset.error;
         } else {
           this.#handleError(new Error('No recommendations available'));
         }
@@ -3,12 +3,17 @@ import { Component } from '@theme/component';
 import { CartUpdateEvent, ThemeEvents } from '@theme/events';
 import { DialogComponent, DialogCloseEvent } from '@theme/dialog';
 import { mediaQueryLarge, isMobileBreakpoint, getIOSVersion } from '@theme/utilities';
+import { sectionRenderer } from '@theme/section-renderer';
+import { prefetcher } from '@theme/prefetch';
+import { ProductFormComponent } from '@theme/product-form';
 
 export class QuickAddComponent extends Component {
   /** @type {AbortController | null} */
   #abortController = null;
   /** @type {Map<string, Element>} */
   #cachedContent = new Map();
+  /** @type {AbortController | null} */
+  #intentAbortController = null;
 
   get productPageUrl() {
     const productCard = /** @type {import('./product-card').ProductCard | null} */ (this.closest('product-card'));
@@ -39,10 +44,33 @@ export class QuickAddComponent extends Component {
     return productCard?.getSelectedVariantId() || null;
   }
 
+  /**
+   * Gets the cart line for the variant selected on the product card, so it can be added along with other products.
+   * @returns {import('./product-form').CartLine | null} The cart line, or null if the variant can't be added.
+   */
+  getCartLine() {
+    const productForm = this.querySelector('product-form-component');
+    if (!(productForm instanceof ProductFormComponent)) return null;
+
+    const line = productForm.getCartLine();
+    const selectedVariantId = Number(this.#getSelectedVariantId());
+
+    return line && selectedVariantId ? { ...line, id: selectedVariantId } : line;
+  }
+
   connectedCallback() {
     super.connectedCallback();
 
     mediaQueryLarge.addEventListener('change', this.#closeQuickAddModal);
+
+    // Products with a single variant are added without opening the dialog
+    if (!this.querySelector('.quick-add__product-form-component--single-variant')) {
+      this.#intentAbortController = new AbortController();
+      prefetcher.onIntent(this.closest('product-card') ?? this, this.#prefetch, {
+        viewport: true,
+        signal: this.#intentAbortController.signal,
+      });
+    }
   }
 
   disconnectedCallback() {
@@ -50,6 +78,7 @@ export class QuickAddComponent extends Component {
 
     mediaQueryLarge.removeEventListener('change', this.#closeQuickAddModal);
     this.#abortController?.abort();
+    this.#intentAbortController?.abort();
   }
 
   /**
@@ -67,14 +96,7 @@ export class QuickAddComponent extends Component {
     if (!productGrid) {
       // Fetch and cache the content
       const html = await this.fetchProductPage(currentUrl);
-      if (html) {
-        const gridElement = html.querySelector('[data-product-grid-content]');
-        if (gridElement) {
-          // Cache the cloned element to avoid modifying the original
-          productGrid = /** @type {Element} */ (gridElement.cloneNode(true));
-          this.#cachedContent.set(currentUrl, productGrid);
-        }
-      }
+      if (html) productGrid = this.#cacheProductGrid(currentUrl, html);
     }
 
     if (productGrid) {
@@ -86,6 +108,37 @@ export class QuickAddComponent extends Component {
     this.#openQuickAddModal();
   };
 
+  /**
+   * Prefetches the product page, so the dialog opens without waiting for it
+   */
+  #prefetch = () => {
+    const currentUrl = this.productPageUrl;
+    if (!currentUrl || this.#cachedContent.has(currentUrl)) return;
+
+    prefetcher.prefetch(currentUrl, async () => {
+      const html = await sectionRenderer.getPageHTML(currentUrl);
+
+      this.#cacheProductGrid(currentUrl, new DOMParser().parseFromString(html, 'text/html'));
+    });
+  };
+
+  /**
+   * Caches the product grid of a product page
+   * @param {string} productPageUrl - The URL of the product page
+   * @param {Document} html - The product page
+   * @returns {Element | undefined} The cached product grid
+   */
+  #cacheProductGrid(productPageUrl, html) {
+    const gridElement = html.querySelector('[data-product-grid-content]');
+    if (!gridElement) return undefined;
+
+    // Cache the cloned element to avoid modifying the original
+    const productGrid = /** @type {Element} */ (gridElement.cloneNode(true));
+    this.#cachedContent.set(productPageUrl, productGrid);
+
+    return productGrid;
+  }
+
   /** @param {QuickAddDialog} dialogComponent */
   #stayVisibleUntilDialogCloses(dialogComponent) {
     this.toggleAttribute('stay-visible', true);
@@ -119,31 +172,19 @@ export class QuickAddComponent extends Component {
   async fetchProductPage(productPageUrl) {
     if (!productPageUrl) return null;
 
-    // We use this to abort the previous fetch request if it's still pending.
+    // We use this to ignore the previous request if it's still pending. The request itself isn't aborted, it can be
+    // shared with a prefetch of the same page.
     this.#abortController?.abort();
-    this.#abortController = new AbortController();
+    const abortController = new AbortController();
+    this.#abortController = abortController;
 
     try {
-      const response = await fetch(productPageUrl, {
-        signal: this.#abortController.signal,
-      });
+      const responseText = await sectionRenderer.getPageHTML(productPageUrl);
+      if (abortController.signal.aborted) return null;
 
-      if (!response.ok) {
-        throw new Error(`Failed to fetch product page: HTTP error ${response.status}`);
-      }
-
-      const responseText = await response.text();
-      const html = new DOMParser().parseFromString(responseText, 'text/html');
-
-      return html;
-    } catch (error) {
-      if (error.name === 'AbortError') {
-        return null;
-      } else {
-        throw error;
-      }
+      return new DOMParser().parseFromString(responseText, 'text/html');
     } finally {
-      this.#abortController = null;
+      if (this.#abortController === abortController) this.#abortController = null;
     }
   }
 
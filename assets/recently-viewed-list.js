@@ -0,0 +1,91 @@
+import { Component } from '@theme/component';
+import { ThemeEvents } from '@theme/events';
+import { RecentlyViewed } from '@theme/recently-viewed-products';
+import { sectionRenderer } from '@theme/section-renderer';
+
+/**
+ * A custom element that lists the products the customer viewed recently, leaving out the current product.
+ *
+ * The products are rendered by the `recently-viewed-products` section, fetched with a search for their IDs. Their links
+ * point to the variant that was viewed.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLUListElement} list - The list of products.
+ *
+ * @extends {Component<Refs>}
+ */
+class RecentlyViewedComponent extends Component {
+  requiredRefs = ['list'];
+
+  /**
+   * Incremented on every render, so only the latest one is shown.
+   * @type {number}
+   */
+  #renderId = 0;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.recentlyViewedUpdate, this.#render);
+    this.#render();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    // The products are rendered on the client, a morph of the section empties the list
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.recentlyViewedUpdate, this.#render);
+  }
+
+  /**
+   * Renders the recently viewed products.
+   */
+  #render = async () => {
+    const { sectionId, productId } = this.dataset;
+    const entries = RecentlyViewed.getEntries().filter((entry) => entry.id !== productId);
+    const renderId = ++this.#renderId;
+
+    if (!sectionId || entries.length === 0) {
+      this.hidden = true;
+      this.refs.list.replaceChildren();
+      return;
+    }
+
+    const url = new URL(Theme.routes.search_url, location.origin);
+    url.searchParams.set('q', entries.map((entry) => `id:${entry.id}`).join(' OR '));
+    url.searchParams.set('resources[type]', 'product');
+
+    try {
+      const html = await sectionRenderer.getSectionHTML(sectionId, true, url);
+      const list = new DOMParser().parseFromString(html, 'text/html').getElementById('recently-viewed-products');
+
+      if (renderId !== this.#renderId || !list) return;
+
+      for (const item of list.querySelectorAll('li[data-product-id]')) {
+        const entry = entries.find((entry) => item instanceof HTMLElement && entry.id === item.dataset.productId);
+        if (!entry?.variantId) continue;
+
+        for (const link of item.querySelectorAll('a[href]')) {
+          const linkUrl = new URL(link.getAttribute('href') ?? '', location.origin);
+          linkUrl.searchParams.set('variant', entry.variantId);
+          link.setAttribute('href', linkUrl.pathname + linkUrl.search);
+        }
+      }
+
+      this.refs.list.replaceChildren(...list.children);
+      this.hidden = this.refs.list.children.length === 0;
+    } catch (error) {
+      console.error(error);
+    }
+  };
+}
+
+if (!customElements.get('recently-viewed-component')) {
+  customElements.define('recently-viewed-component', RecentlyViewedComponent);
+}
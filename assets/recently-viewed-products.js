@@ -1,24 +1,49 @@
+import { RecentlyViewedUpdateEvent } from '@theme/events';
+
+/**
+ * @typedef {Object} ViewedProduct
+ * @property {string} id - The ID of the product
+ * @property {string} [variantId] - The ID of the variant that was viewed
+ * @property {number} viewedAt - When the product was last viewed
+ */
+
+/** @constant {number} The number of milliseconds in a day */
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
 /**
  * Updates the recently viewed products in localStorage.
  */
 export class RecentlyViewed {
-  /** @static @constant {string} The key used to store the viewed products in session storage */
+  /** @static @constant {string} The key used to store the viewed products in local storage */
   static #STORAGE_KEY = 'viewedProducts';
-  /** @static @constant {number} The maximum number of products to store */
-  static #MAX_PRODUCTS = 4;
+
+  /**
+   * The maximum number of products to store, from the theme settings.
+   * @returns {number}
+   */
+  static get #maxProducts() {
+    return Theme.settings.recently_viewed_limit;
+  }
+
+  /**
+   * The number of milliseconds after which a viewed product is forgotten, from the theme settings.
+   * @returns {number}
+   */
+  static get #expiry() {
+    return Theme.settings.recently_viewed_expiry_days * DAY_IN_MS;
+  }
 
   /**
    * Adds a product to the recently viewed products list.
    * @param {string} productId - The ID of the product to add.
+   * @param {string} [variantId] - The ID of the variant that was viewed.
    */
-  static addProduct(productId) {
-    let viewedProducts = this.getProducts();
+  static addProduct(productId, variantId) {
+    const viewedProducts = this.getEntries().filter((entry) => entry.id !== productId);
 
-    viewedProducts = viewedProducts.filter((/** @type {string} */ id) => id !== productId);
-    viewedProducts.unshift(productId);
-    viewedProducts = viewedProducts.slice(0, this.#MAX_PRODUCTS);
+    viewedProducts.unshift({ id: productId, variantId, viewedAt: Date.now() });
 
-    localStorage.setItem(this.#STORAGE_KEY, JSON.stringify(viewedProducts));
+    localStorage.setItem(this.#STORAGE_KEY, JSON.stringify(viewedProducts.slice(0, this.#maxProducts)));
   }
 
   static clearProducts() {
@@ -26,10 +51,40 @@ export class RecentlyViewed {
   }
 
   /**
-   * Retrieves the list of recently viewed products from session storage.
+   * Retrieves the IDs of the recently viewed products, the most recently viewed first.
    * @returns {string[]} The list of viewed products.
    */
   static getProducts() {
-    return JSON.parse(localStorage.getItem(this.#STORAGE_KEY) || '[]');
+    return this.getEntries().map((entry) => entry.id);
+  }
+
+  /**
+   * Retrieves the recently viewed products that haven't expired, the most recently viewed first.
+   * @returns {ViewedProduct[]} The list of viewed products.
+   */
+  static getEntries() {
+    /** @type {(ViewedProduct | string)[]} */
+    const storedProducts = JSON.parse(localStorage.getItem(this.#STORAGE_KEY) || '[]');
+    const now = Date.now();
+
+    return (
+      storedProducts
+        // Products used to be stored as bare IDs, they get a timestamp the next time a product is viewed
+        .map((entry) => (typeof entry === 'string' ? { id: entry, viewedAt: now } : entry))
+        .filter((entry) => now - entry.viewedAt < this.#expiry)
+        .slice(0, this.#maxProducts)
+    );
   }
+
+  /**
+   * Handles the recently viewed products changing in another tab, which only fires a `storage` event in the other tabs.
+   * @param {StorageEvent} event - The storage event.
+   */
+  static handleStorage = (event) => {
+    if (event.key !== this.#STORAGE_KEY && event.key !== null) return;
+
+    document.dispatchEvent(new RecentlyViewedUpdateEvent(this.getProducts()));
+  };
 }
+
+window.addEventListener('storage', RecentlyViewed.handleStorage);
@@ -0,0 +1,97 @@
+import { SavedFiltersUpdateEvent } from '@theme/events';
+
+/**
+ * @typedef {Object} SavedFilter
+ * @property {string} id - The ID of the saved filters
+ * @property {string} name - The name the customer gave them
+ * @property {string} path - The path of the collection or search page they were saved on
+ * @property {string} parameters - The filter parameters, sorted, e.g. `filter.v.availability=1&sort_by=price-ascending`
+ * @property {string[]} handles - The handles of the products they returned at the last visit
+ * @property {number} savedAt - When they were saved
+ */
+
+/**
+ * Updates the filters saved by the customer in localStorage.
+ */
+export class SavedFilters {
+  /** @static @constant {string} The key used to store the saved filters in local storage */
+  static #STORAGE_KEY = 'savedFilters';
+
+  /** @static @constant {number} The number of filters that can be saved, the oldest are forgotten first */
+  static #MAX_FILTERS = 10;
+
+  /**
+   * Saves filters, replacing the ones with the same name on the same page.
+   * @param {Omit<SavedFilter, 'id' | 'savedAt'>} filter - The filters to save.
+   * @returns {SavedFilter} The saved filters.
+   */
+  static addFilter(filter) {
+    const id = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    const savedFilter = { ...filter, id, savedAt: Date.now() };
+    const filters = this.getFilters().filter(({ name, path }) => name !== filter.name || path !== filter.path);
+
+    this.#save([savedFilter, ...filters].slice(0, this.#MAX_FILTERS));
+
+    return savedFilter;
+  }
+
+  /**
+   * Removes saved filters.
+   * @param {string} id - The ID of the saved filters.
+   */
+  static removeFilter(id) {
+    this.#save(this.getFilters().filter((filter) => filter.id !== id));
+  }
+
+  /**
+   * Remembers the products saved filters return, once the customer has seen them.
+   * @param {string} id - The ID of the saved filters.
+   * @param {string[]} handles - The handles of the products.
+   */
+  static updateHandles(id, handles) {
+    const filters = this.getFilters();
+    const filter = filters.find((filter) => filter.id === id);
+
+    if (!filter || handles.every((handle) => filter.handles.includes(handle))) return;
+
+    filter.handles = handles;
+    this.#save(filters);
+  }
+
+  /**
+   * Retrieves the saved filters, the most recently saved first.
+   * @param {string} [path] - Only the filters saved on this page.
+   * @returns {SavedFilter[]} The saved filters.
+   */
+  static getFilters(path) {
+    /** @type {SavedFilter[]} */
+    const filters = JSON.parse(localStorage.getItem(this.#STORAGE_KEY) || '[]');
+
+    return path ? filters.filter((filter) => filter.path === path) : filters;
+  }
+
+  /**
+   * Handles the saved filters changing in another tab, which only fires a `storage` event in the other tabs.
+   * @param {StorageEvent} event - The storage event.
+   */
+  static handleStorage = (event) => {
+    if (event.key !== this.#STORAGE_KEY && event.key !== null) return;
+
+    document.dispatchEvent(new SavedFiltersUpdateEvent(this.getFilters()));
+  };
+
+  /**
+   * @param {SavedFilter[]} filters - The saved filters to store.
+   */
+  static #save(filters) {
+    if (filters.length) {
+      localStorage.setItem(this.#STORAGE_KEY, JSON.stringify(filters));
+    } else {
+      localStorage.removeItem(this.#STORAGE_KEY);
+    }
+
+    document.dispatchEvent(new SavedFiltersUpdateEvent(filters));
+  }
+}
+
+window.addEventListener('storage', SavedFilters.handleStorage);
@@ -0,0 +1,186 @@
+import { Component } from '@theme/component';
+import { ProductFormComponent } from '@theme/product-form';
+import { ThemeEvents } from '@theme/events';
+import { SavedForLater } from '@theme/saved-for-later';
+import { sectionRenderer } from '@theme/section-renderer';
+
+/** @typedef {import('./saved-for-later').SavedItem} SavedItem */
+
+/**
+ * A custom element that lists the items saved for later under the cart items, and moves them back to the cart.
+ *
+ * The items are rendered from the `itemTemplate` template. Their price comes from the product card rendered by the
+ * `section-rendering-product-card` section, so it's the current price rather than the one at the time of saving.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLUListElement} list - The list of saved items.
+ * @property {HTMLTemplateElement} itemTemplate - The template of a saved item.
+ * @property {HTMLElement} liveRegion - The live region.
+ *
+ * @extends {Component<Refs>}
+ */
+class SavedForLaterComponent extends Component {
+  requiredRefs = ['list', 'itemTemplate', 'liveRegion'];
+
+  /**
+   * Incremented on every render, so only the latest one is shown once its product cards load.
+   * @type {number}
+   */
+  #renderId = 0;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.savedForLaterUpdate, this.#render);
+    this.#render();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    // The items are rendered on the client, a morph of the cart section empties the list
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.savedForLaterUpdate, this.#render);
+  }
+
+  /**
+   * Moves a saved item back to the cart, with its original variant and quantity.
+   * @param {MouseEvent & { target: HTMLElement }} event - The click event on the item.
+   */
+  async moveToCart(event) {
+    const item = this.#getItem(event);
+    const button = event.target.closest('button');
+
+    if (!item || !button) return;
+
+    button.disabled = true;
+
+    try {
+      const response = await ProductFormComponent.addLines(
+        [
+          {
+            id: item.variantId,
+            quantity: item.quantity,
+            properties: item.properties,
+            productId: String(item.productId),
+          },
+        ],
+        this
+      );
+
+      if (response.status) {
+        this.refs.liveRegion.textContent = response.message;
+        return;
+      }
+
+      SavedForLater.removeItem(item.key);
+    } catch (error) {
+      console.error(error);
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Removes a saved item.
+   * @param {MouseEvent & { target: HTMLElement }} event - The click event on the item.
+   */
+  removeItem(event) {
+    const item = this.#getItem(event);
+
+    if (item) SavedForLater.removeItem(item.key);
+  }
+
+  /**
+   * Gets the saved item an event happened in.
+   * @param {Event & { target: HTMLElement }} event - The event.
+   * @returns {SavedItem | undefined} The saved item.
+   */
+  #getItem(event) {
+    const element = event.target.closest('[data-key]');
+    const key = element instanceof HTMLElement ? element.dataset.key : undefined;
+
+    return SavedForLater.getItems().find((item) => item.key === key);
+  }
+
+  /**
+   * Renders the saved items.
+   */
+  #render = async () => {
+    const items = SavedForLater.getItems();
+    const renderId = ++this.#renderId;
+
+    this.hidden = items.length === 0;
+
+    const elements = await Promise.all(items.map((item) => this.#renderItem(item)));
+
+    if (renderId !== this.#renderId) return;
+
+    this.refs.list.replaceChildren(...elements);
+  };
+
+  /**
+   * Renders a saved item from the item template.
+   * @param {SavedItem} item - The saved item.
+   * @returns {Promise<Element>} The item element.
+   */
+  async #renderItem(item) {
+    const fragment = /** @type {DocumentFragment} */ (this.refs.itemTemplate.content.cloneNode(true));
+    const element = fragment.firstElementChild;
+
+    if (!(element instanceof HTMLElement)) throw new Error('The saved item template must have a root element');
+
+    element.dataset.key = item.key;
+
+    for (const link of element.querySelectorAll('a')) {
+      link.href = item.url;
+    }
+
+    const title = element.querySelector('.saved-for-later__title');
+    if (title) title.textContent = item.title;
+
+    const image = element.querySelector('img');
+    if (image && item.image) {
+      image.src = item.image;
+    } else {
+      image?.remove();
+    }
+
+    const quantity = element.querySelector('.saved-for-later__quantity');
+    if (quantity instanceof HTMLElement) {
+      quantity.textContent = (quantity.dataset.template ?? '').replace('[quantity]', String(item.quantity));
+    }
+
+    const price = element.querySelector('.saved-for-later__price');
+    const productPrice = await this.#fetchProductPrice(item);
+    if (price && productPrice) price.replaceChildren(productPrice);
+
+    return element;
+  }
+
+  /**
+   * Fetches the current price of a saved item from its product card.
+   * @param {SavedItem} item - The saved item.
+   * @returns {Promise<Element | null>} The product price element.
+   */
+  async #fetchProductPrice(item) {
+    try {
+      const url = new URL(item.url, window.location.origin);
+      const html = await sectionRenderer.getSectionHTML('section-rendering-product-card', true, url);
+
+      return new DOMParser().parseFromString(html, 'text/html').querySelector('product-card product-price');
+    } catch (error) {
+      console.error(error);
+      return null;
+    }
+  }
+}
+
+if (!customElements.get('saved-for-later-component')) {
+  customElements.define('saved-for-later-component', SavedForLaterComponent);
+}
@@ -0,0 +1,70 @@
+import { SavedForLaterUpdateEvent } from '@theme/events';
+
+/**
+ * @typedef {Object} SavedItem
+ * @property {string} key - The key of the cart line the item was saved from
+ * @property {number} variantId - The ID of the variant
+ * @property {number} productId - The ID of the product
+ * @property {number} quantity - The quantity that was in the cart
+ * @property {Record<string, string>} [properties] - The line item properties
+ * @property {string} title - The title of the line
+ * @property {string} url - The URL of the variant
+ * @property {string | null} image - The URL of the line image
+ * @property {number} savedAt - When the item was saved
+ */
+
+/**
+ * Updates the items saved for later in localStorage.
+ */
+export class SavedForLater {
+  /** @static @constant {string} The key used to store the saved items in local storage */
+  static #STORAGE_KEY = 'savedForLater';
+
+  /**
+   * Saves an item, adding up the quantities if the same line was already saved.
+   * @param {Omit<SavedItem, 'savedAt'>} item - The item to save.
+   */
+  static addItem(item) {
+    const savedItems = this.getItems();
+    const existingItem = savedItems.find((savedItem) => savedItem.key === item.key);
+    const quantity = item.quantity + (existingItem?.quantity ?? 0);
+
+    this.#save([
+      { ...item, quantity, savedAt: Date.now() },
+      ...savedItems.filter((savedItem) => savedItem !== existingItem),
+    ]);
+  }
+
+  /**
+   * Removes an item.
+   * @param {string} key - The key of the item to remove.
+   */
+  static removeItem(key) {
+    this.#save(this.getItems().filter((item) => item.key !== key));
+  }
+
+  static clearItems() {
+    this.#save([]);
+  }
+
+  /**
+   * Retrieves the saved items, the most recently saved first.
+   * @returns {SavedItem[]} The saved items.
+   */
+  static getItems() {
+    return JSON.parse(localStorage.getItem(this.#STORAGE_KEY) || '[]');
+  }
+
+  /**
+   * @param {SavedItem[]} items - The items to store.
+   */
+  static #save(items) {
+    if (items.length) {
+      localStorage.setItem(this.#STORAGE_KEY, JSON.stringify(items));
+    } else {
+      localStorage.removeItem(this.#STORAGE_KEY);
+    }
+
+    document.dispatchEvent(new SavedForLaterUpdateEvent(items));
+  }
+}
@@ -1,4 +1,147 @@
-import { morph } from '@theme/morph';
+import { morph, preserveState } from '@theme/morph';
+import { cartStore } from '@theme/cart-store';
+
+/** @typedef {import('./cart-store').Cart} Cart */
+
+/**
+ * @typedef {Object} SectionCacheEntry
+ * @property {string} html - The section HTML
+ * @property {number} size - The approximate size of the HTML in bytes
+ * @property {number} expiresAt - When the entry expires
+ * @property {Set<string>} tags - The tags the entry can be invalidated by
+ */
+
+/**
+ * @typedef {Object} SectionCacheOptions
+ * @property {number} [maxEntries] - The maximum number of entries
+ * @property {number} [maxBytes] - The maximum total size of the entries in bytes
+ * @property {number} [ttl] - The default number of milliseconds an entry is fresh for
+ */
+
+/**
+ * A least recently used cache of section HTML, bounded by its number of entries and their size. Entries expire after
+ * their TTL and can be tagged, e.g. "cart" or "product:123", to invalidate every entry that depends on a resource.
+ */
+class SectionCache {
+  /**
+   * The entries by URL, from the least to the most recently used
+   * @type {Map<string, SectionCacheEntry>}
+   */
+  #entries = new Map();
+
+  /**
+   * The total size of the entries in bytes
+   * @type {number}
+   */
+  #bytes = 0;
+
+  /** @type {number} */
+  #maxEntries;
+
+  /** @type {number} */
+  #maxBytes;
+
+  /** @type {number} */
+  #ttl;
+
+  /**
+   * @param {SectionCacheOptions} [options] - The options
+   */
+  constructor({ maxEntries = 50, maxBytes = 5 * 1024 * 1024, ttl = 5 * 60 * 1000 } = {}) {
+    this.#maxEntries = maxEntries;
+    this.#maxBytes = maxBytes;
+    this.#ttl = ttl;
+  }
+
+  /**
+   * Gets the HTML cached for a URL, if it hasn't expired
+   * @param {string} url - The section rendering URL
+   * @returns {string | undefined} The section HTML
+   */
+  get(url) {
+    const entry = this.#entries.get(url);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.delete(url);
+      return undefined;
+    }
+
+    // Move the entry to the end, as the most recently used
+    this.#entries.delete(url);
+    this.#entries.set(url, entry);
+
+    return entry.html;
+  }
+
+  /**
+   * @param {string} url - The section rendering URL
+   * @returns {boolean} Whether there is a fresh entry for the URL
+   */
+  has(url) {
+    const entry = this.#entries.get(url);
+
+    return !!entry && entry.expiresAt > Date.now();
+  }
+
+  /**
+   * Caches the HTML for a URL, evicting the least recently used entries when over the limits
+   * @param {string} url - The section rendering URL
+   * @param {string} html - The section HTML
+   * @param {Object} [options] - The options
+   * @param {string[]} [options.tags] - The tags of the entry, on top of the ones declared in the HTML
+   * @param {number} [options.ttl] - The number of milliseconds the entry is fresh for
+   */
+  set(url, html, { tags = [], ttl = this.#ttl } = {}) {
+    // Strings are stored as UTF-16
+    const size = html.length * 2;
+
+    this.delete(url);
+
+    if (size > this.#maxBytes) return;
+
+    this.#entries.set(url, {
+      html,
+      size,
+      expiresAt: Date.now() + ttl,
+      tags: new Set([...tags, ...getCacheTags(html)]),
+    });
+    this.#bytes += size;
+
+    for (const oldestUrl of this.#entries.keys()) {
+      if (this.#entries.size <= this.#maxEntries && this.#bytes <= this.#maxBytes) break;
+
+      this.delete(oldestUrl);
+    }
+  }
+
+  /**
+   * Removes the entry for a URL
+   * @param {string} url - The section rendering URL
+   */
+  delete(url) {
+    const entry = this.#entries.get(url);
+    if (!entry) return;
+
+    this.#entries.delete(url);
+    this.#bytes -= entry.size;
+  }
+
+  /**
+   * Removes the entries with any of the tags
+   * @param {string[]} tags - The tags
+   */
+  invalidate(tags) {
+    for (const [url, entry] of this.#entries) {
+      if (tags.some((tag) => entry.tags.has(tag))) this.delete(url);
+    }
+  }
+
+  clear() {
+    this.#entries.clear();
+    this.#bytes = 0;
+  }
+}
 
 /**
  * A class to re-render sections using the Section Rendering API
@@ -6,9 +149,9 @@ import { morph } from '@theme/morph';
 class SectionRenderer {
   /**
    * The cache of section HTML
-   * @type {Map<string, string>}
+   * @type {SectionCache}
    */
-  #cache = new Map();
+  #cache = new SectionCache();
 
   /**
    * The abort controllers by section ID
@@ -22,8 +165,32 @@ class SectionRenderer {
    */
   #pendingPromises = new Map();
 
+  /**
+   * The sections waiting for the next batch request, by section ID
+   * @type {Map<string, { resolve: (html: string) => void, reject: (error: unknown) => void }>}
+   */
+  #batch = new Map();
+
   constructor() {
     window.addEventListener('load', this.#cachePageSections.bind(this));
+
+    // Sections rendered for the previous cart are stale once it changes, the first cart loaded is the one the page
+    // was rendered with. So are the products whose quantity in the cart changed, their available inventory did too.
+    cartStore.subscribe((cart, previousCart) => {
+      if (!previousCart) return;
+
+      const changedProducts = getChangedProducts(previousCart, cart).map((productId) => `product:${productId}`);
+      this.invalidate('cart', ...changedProducts);
+    });
+  }
+
+  /**
+   * Removes the cached sections tagged with any of the tags, e.g. "cart" or "product:123". Sections are tagged by the
+   * `data-cache-tags` attributes in their markup, and by the tags passed to `getSectionHTML`.
+   * @param {...string} tags - The tags
+   */
+  invalidate(...tags) {
+    this.#cache.invalidate(tags);
   }
 
   /**
@@ -34,22 +201,41 @@ class SectionRenderer {
    * @returns {Promise<string>} The rendered section HTML
    */
   async renderSection(sectionId, options) {
+    const { [sectionId]: sectionHTML = '' } = await this.renderSections([sectionId], options);
+
+    return sectionHTML;
+  }
+
+  /**
+   * Renders sections, fetching the ones requested in the same tick, even by other calls, in a single request
+   * @param {string[]} sectionIds - The section IDs
+   * @param {Object} [options] - The options
+   * @param {boolean} [options.cache] - Whether to use the cache
+   * @returns {Promise<Record<string, string>>} The rendered section HTML by section ID
+   */
+  async renderSections(sectionIds, options) {
     const { cache = !Shopify.designMode } = options ?? {};
 
-    this.#abortPendingMorph(sectionId);
+    const sectionHTMLs = await Promise.all(
+      sectionIds.map(async (sectionId) => {
+        this.#abortPendingMorph(sectionId);
 
-    const abortController = new AbortController();
-    this.#abortControllersBySectionId.set(sectionId, abortController);
+        const abortController = new AbortController();
+        this.#abortControllersBySectionId.set(sectionId, abortController);
 
-    const sectionHTML = await this.getSectionHTML(sectionId, cache);
+        const sectionHTML = await this.#getBatchedSectionHTML(sectionId, cache);
 
-    if (!abortController.signal.aborted) {
-      this.#abortControllersBySectionId.delete(sectionId);
+        if (!abortController.signal.aborted) {
+          this.#abortControllersBySectionId.delete(sectionId);
 
-      morphSection(sectionId, sectionHTML);
-    }
+          morphSection(sectionId, sectionHTML);
+        }
 
-    return sectionHTML;
+        return sectionHTML;
+      })
+    );
+
+    return Object.fromEntries(sectionIds.map((sectionId, index) => [sectionId, sectionHTMLs[index] ?? '']));
   }
 
   /**
@@ -68,10 +254,68 @@ class SectionRenderer {
    * @param {string} sectionId - The section ID
    * @param {boolean} useCache - Whether to use the cache
    * @param {URL} url - The URL to render the section for
+   * @param {Object} [options] - The cache options
+   * @param {string[]} [options.tags] - The tags to invalidate the section by, on top of the ones declared in its markup
+   * @param {number} [options.ttl] - The number of milliseconds the section is fresh for
    * @returns {Promise<string>} The rendered section HTML
    */
-  async getSectionHTML(sectionId, useCache = true, url = new URL(window.location.href)) {
-    const sectionUrl = buildSectionRenderingURL(sectionId, url);
+  async getSectionHTML(sectionId, useCache = true, url = new URL(window.location.href), options = {}) {
+    return this.#getHTML(buildSectionRenderingURL(sectionId, url), useCache, options);
+  }
+
+  /**
+   * Gets the HTML of a whole page, e.g. a product page to prefetch
+   * @param {string} url - The URL of the page
+   * @param {boolean} useCache - Whether to use the cache
+   * @returns {Promise<string>} The page HTML
+   */
+  async getPageHTML(url, useCache = true) {
+    return this.#getHTML(new URL(url, window.location.origin).toString(), useCache);
+  }
+
+  /**
+   * Gets the HTML for a URL, from the cache or from the request already pending for it when possible
+   * @param {string} url - The URL
+   * @param {boolean} useCache - Whether to use the cache
+   * @param {{ tags?: string[], ttl?: number }} [options] - The cache options
+   * @returns {Promise<string>} The HTML
+   */
+  async #getHTML(url, useCache, options = {}) {
+    let pendingPromise = this.#pendingPromises.get(url);
+    if (pendingPromise) return pendingPromise;
+
+    if (useCache) {
+      const cachedHTML = this.#cache.get(url);
+
+      if (cachedHTML) return cachedHTML;
+    }
+
+    pendingPromise = fetch(url).then((response) => {
+      if (!response.ok) throw new Error(`Failed to fetch ${url}: HTTP error ${response.status}`);
+
+      return response.text();
+    });
+
+    this.#pendingPromises.set(url, pendingPromise);
+
+    try {
+      const html = await pendingPromise;
+
+      this.#cache.set(url, html, options);
+      return html;
+    } finally {
+      this.#pendingPromises.delete(url);
+    }
+  }
+
+  /**
+   * Gets the HTML for a section of the current page, adding it to the next batch request unless it's cached
+   * @param {string} sectionId - The section ID
+   * @param {boolean} useCache - Whether to use the cache
+   * @returns {Promise<string>} The rendered section HTML
+   */
+  async #getBatchedSectionHTML(sectionId, useCache) {
+    const sectionUrl = buildSectionRenderingURL(sectionId);
 
     let pendingPromise = this.#pendingPromises.get(sectionUrl);
     if (pendingPromise) return pendingPromise;
@@ -82,26 +326,76 @@ class SectionRenderer {
       if (cachedHTML) return cachedHTML;
     }
 
-    pendingPromise = fetch(sectionUrl).then((response) => {
-      return response.text();
+    pendingPromise = new Promise((resolve, reject) => {
+      if (this.#batch.size === 0) queueMicrotask(this.#fetchBatch);
+
+      this.#batch.set(sectionId, { resolve, reject });
     });
 
     this.#pendingPromises.set(sectionUrl, pendingPromise);
 
-    const sectionHTML = await pendingPromise;
-    this.#pendingPromises.delete(sectionUrl);
+    try {
+      const sectionHTML = await pendingPromise;
 
-    this.#cache.set(sectionUrl, sectionHTML);
-    return sectionHTML;
+      this.#cache.set(sectionUrl, sectionHTML);
+      return sectionHTML;
+    } finally {
+      this.#pendingPromises.delete(sectionUrl);
+    }
   }
 
+  /**
+   * Fetches the sections of the batch, with as few requests as the Section Rendering API allows
+   */
+  #fetchBatch = async () => {
+    const batch = new Map(this.#batch);
+    this.#batch.clear();
+
+    const sectionIds = [...batch.keys()];
+
+    /** @type {string[][]} */
+    const chunks = [];
+    for (let index = 0; index < sectionIds.length; index += MAX_SECTIONS_PER_REQUEST) {
+      chunks.push(sectionIds.slice(index, index + MAX_SECTIONS_PER_REQUEST));
+    }
+
+    await Promise.all(
+      chunks.map(async (chunk) => {
+        try {
+          const url = new URL(window.location.href);
+          url.searchParams.set('sections', chunk.map(normalizeSectionId).join(','));
+
+          const response = await fetch(url);
+
+          /** @type {Record<string, string | null>} */
+          const sections = await response.json();
+
+          for (const sectionId of chunk) {
+            const sectionHTML = sections[normalizeSectionId(sectionId)];
+            const callbacks = batch.get(sectionId);
+
+            if (typeof sectionHTML === 'string') {
+              callbacks?.resolve(sectionHTML);
+            } else {
+              callbacks?.reject(new Error(`Section ${sectionId} not found in the section rendering response`));
+            }
+          }
+        } catch (error) {
+          for (const sectionId of chunk) {
+            batch.get(sectionId)?.reject(error);
+          }
+        }
+      })
+    );
+  };
+
   /**
    * Caches the page sections
    */
   #cachePageSections() {
     for (const section of document.querySelectorAll('.shopify-section')) {
       const url = buildSectionRenderingURL(section.id);
-      if (this.#cache.get(url)) return;
+      if (this.#cache.has(url)) return;
       if (containsShadowRoot(section)) return;
 
       this.#cache.set(url, section.outerHTML);
@@ -111,6 +405,9 @@ class SectionRenderer {
 
 const SECTION_ID_PREFIX = 'shopify-section-';
 
+/** The maximum number of sections the Section Rendering API renders in a single request */
+const MAX_SECTIONS_PER_REQUEST = 5;
+
 /**
  * Builds a section rendering URL
  * @param {string} sectionId - The section ID
@@ -142,6 +439,35 @@ function normalizeSectionId(sectionId) {
   return sectionId.replace(new RegExp(`^${SECTION_ID_PREFIX}`), '');
 }
 
+/**
+ * Gets the products whose quantity differs between two carts
+ * @param {Cart} previousCart - The previous cart
+ * @param {Cart} cart - The current cart
+ * @returns {number[]} The product IDs
+ */
+function getChangedProducts(previousCart, cart) {
+  /** @type {Map<number, number>} */
+  const quantities = new Map();
+
+  for (const item of previousCart.items) {
+    quantities.set(item.product_id, (quantities.get(item.product_id) ?? 0) - item.quantity);
+  }
+  for (const item of cart.items) {
+    quantities.set(item.product_id, (quantities.get(item.product_id) ?? 0) + item.quantity);
+  }
+
+  return [...quantities].filter(([, difference]) => difference !== 0).map(([productId]) => productId);
+}
+
+/**
+ * Gets the cache tags declared in section markup by `data-cache-tags` attributes
+ * @param {string} html - The section HTML
+ * @returns {string[]} The tags
+ */
+function getCacheTags(html) {
+  return [...html.matchAll(/data-cache-tags="([^"]*)"/g)].flatMap(([, tags = '']) => tags.split(/\s+/).filter(Boolean));
+}
+
 /**
  * Checks if an element contains a shadow root
  * @param {Element} element - The element to check
@@ -158,6 +484,9 @@ function containsShadowRoot(element) {
 /**
  * Morphs the existing section element with the new section contents
  *
+ * The state of the elements with a `data-morph-preserve` attribute, e.g. open `details` or typed values, is restored
+ * after the morph.
+ *
  * @param {string} sectionId - The section ID
  * @param {string} html - The new markup the section should morph into
  */
@@ -174,7 +503,10 @@ export async function morphSection(sectionId, html) {
     throw new Error(`Section ${sectionId} not found in the section rendering response`);
   }
 
+  const restoreState = preserveState(existingElement);
+
   morph(existingElement, newElement);
+  restoreState();
 }
 
 export const sectionRenderer = new SectionRenderer();
@@ -0,0 +1,191 @@
+import { prefetcher } from '@theme/prefetch';
+import { requestIdleCallback } from '@theme/utilities';
+
+/**
+ * @typedef {Object} SpeculationOptions
+ * @property {AbortSignal} [signal] - Stops speculating on the element's URL when aborted
+ */
+
+/** @constant {number} The number of hovered pages that are prerendered at once */
+const MAX_PRERENDERS = 2;
+
+/**
+ * Speculates on the pages the customer is likely to navigate to, so they open instantly, together with the view
+ * transitions of `view-transitions.js`.
+ *
+ * The pages linked from visible elements are prefetched when the browser sees an intent, and the latest hovered or
+ * focused ones are prerendered right away. Browsers without Speculation Rules prefetch hovered pages with
+ * `<link rel="prefetch">` instead.
+ */
+class SpeculationRules {
+  /**
+   * The functions that get the current URL of each watched element
+   * @type {Map<Element, () => string | undefined>}
+   */
+  #urls = new Map();
+
+  /**
+   * The watched elements in the viewport
+   * @type {Set<Element>}
+   */
+  #visible = new Set();
+
+  /**
+   * The latest hovered or focused URLs, the most recent last
+   * @type {string[]}
+   */
+  #hovered = [];
+
+  /**
+   * The URLs prefetched with `<link rel="prefetch">`
+   * @type {Set<string>}
+   */
+  #prefetched = new Set();
+
+  /** @type {HTMLScriptElement | null} */
+  #script = null;
+
+  /** @type {IntersectionObserver | undefined} */
+  #observer;
+
+  #updateScheduled = false;
+
+  get supported() {
+    return typeof HTMLScriptElement.supports === 'function' && HTMLScriptElement.supports('speculationrules');
+  }
+
+  /**
+   * Speculates on the page an element links to.
+   * @param {Element} element - The element, e.g. a product card.
+   * @param {() => string | undefined} getUrl - Gets the current URL the element links to.
+   * @param {SpeculationOptions} [options] - The options.
+   */
+  observe(element, getUrl, { signal } = {}) {
+    if (!prefetcher.enabled || signal?.aborted) return;
+
+    const handleIntent = () => this.#handleIntent(getUrl());
+
+    element.addEventListener('pointerenter', handleIntent, { signal });
+    element.addEventListener('focusin', handleIntent, { signal });
+
+    if (!this.supported) return;
+
+    this.#urls.set(element, getUrl);
+    this.#getObserver().observe(element);
+
+    signal?.addEventListener(
+      'abort',
+      () => {
+        this.#urls.delete(element);
+        this.#visible.delete(element);
+        this.#observer?.unobserve(element);
+        this.#scheduleUpdate();
+      },
+      { once: true }
+    );
+  }
+
+  /**
+   * Prerenders a hovered or focused page, or prefetches it when Speculation Rules aren't supported.
+   * @param {string | undefined} url - The URL of the page.
+   */
+  #handleIntent(url) {
+    if (!url || !isSameOrigin(url)) return;
+
+    if (!this.supported) {
+      if (this.#prefetched.has(url)) return;
+
+      this.#prefetched.add(url);
+      prefetcher.prefetch(url, () => prefetchWithLink(url));
+      return;
+    }
+
+    if (this.#hovered[this.#hovered.length - 1] === url) return;
+
+    this.#hovered = [...this.#hovered.filter((hoveredUrl) => hoveredUrl !== url), url].slice(-MAX_PRERENDERS);
+    this.#scheduleUpdate();
+  }
+
+  /**
+   * @returns {IntersectionObserver} The observer of the watched elements.
+   */
+  #getObserver() {
+    this.#observer ??= new IntersectionObserver((entries) => {
+      for (const { target, isIntersecting } of entries) {
+        if (isIntersecting) {
+          this.#visible.add(target);
+        } else {
+          this.#visible.delete(target);
+        }
+      }
+
+      this.#scheduleUpdate();
+    });
+
+    return this.#observer;
+  }
+
+  /**
+   * Updates the rules once the browser is idle, as elements often enter and leave the viewport in bursts.
+   */
+  #scheduleUpdate() {
+    if (this.#updateScheduled) return;
+
+    this.#updateScheduled = true;
+    requestIdleCallback(() => {
+      this.#updateScheduled = false;
+      this.#update();
+    });
+  }
+
+  /**
+   * Replaces the speculation rules, the browser only reads the rules of a script when it's inserted.
+   */
+  #update() {
+    const visibleUrls = new Set();
+    for (const element of this.#visible) {
+      const url = this.#urls.get(element)?.();
+      if (url && isSameOrigin(url)) visibleUrls.add(url);
+    }
+
+    const rules = {
+      prefetch: [{ source: 'list', urls: [...visibleUrls], eagerness: 'moderate' }],
+      prerender: [{ source: 'list', urls: this.#hovered, eagerness: 'immediate' }],
+    };
+
+    const script = document.createElement('script');
+    script.type = 'speculationrules';
+    script.textContent = JSON.stringify(rules);
+
+    this.#script?.remove();
+    document.head.append(script);
+    this.#script = script;
+  }
+}
+
+/**
+ * @param {string} url - The URL.
+ * @returns {boolean} Whether the URL is on the current origin, the only one speculation is allowed on.
+ */
+function isSameOrigin(url) {
+  return new URL(url, window.location.origin).origin === window.location.origin;
+}
+
+/**
+ * Prefetches a page with `<link rel="prefetch">`.
+ * @param {string} url - The URL of the page.
+ * @returns {Promise<void>} Resolves when the page is prefetched, or failed to.
+ */
+function prefetchWithLink(url) {
+  return new Promise((resolve) => {
+    const link = document.createElement('link');
+    link.rel = 'prefetch';
+    link.href = url;
+    link.addEventListener('load', () => resolve(), { once: true });
+    link.addEventListener('error', () => resolve(), { once: true });
+
+    document.head.append(link);
+  });
+}
+
+export const speculationRules = new SpeculationRules();
@@ -0,0 +1,57 @@
+import { Component } from '@theme/component';
+import { ThemeEvents } from '@theme/events';
+import { Wishlist } from '@theme/wishlist';
+
+/**
+ * A custom element that adds a product to the wishlist, or removes it.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLButtonElement} button - The toggle button.
+ *
+ * @extends {Component<Refs>}
+ */
+class WishlistButtonComponent extends Component {
+  requiredRefs = ['button'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.wishlistUpdate, this.#render);
+    this.#render();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    // The server doesn't know about the wishlist, a morph resets the pressed state
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.wishlistUpdate, this.#render);
+  }
+
+  /**
+   * Toggles the product in the wishlist.
+   */
+  toggle() {
+    const { productId } = this.dataset;
+    if (productId) Wishlist.toggleProduct(productId);
+  }
+
+  /**
+   * Renders the pressed state of the button.
+   */
+  #render = () => {
+    const { productId } = this.dataset;
+    const isInWishlist = productId ? Wishlist.hasProduct(productId) : false;
+
+    this.refs.button.setAttribute('aria-pressed', String(isInWishlist));
+  };
+}
+
+if (!customElements.get('wishlist-button-component')) {
+  customElements.define('wishlist-button-component', WishlistButtonComponent);
+}
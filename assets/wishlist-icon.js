@@ -0,0 +1,53 @@
+import { Component } from '@theme/component';
+import { ThemeEvents } from '@theme/events';
+import { Wishlist } from '@theme/wishlist';
+
+/**
+ * A custom element that displays the wishlist icon, with the number of products in the wishlist in a bubble.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} wishlistBubble - The wishlist bubble element.
+ * @property {HTMLElement} wishlistBubbleCount - The wishlist bubble count element.
+ * @property {HTMLElement} wishlistBubbleLabel - The accessible label of the count.
+ *
+ * @extends {Component<Refs>}
+ */
+class WishlistIcon extends Component {
+  requiredRefs = ['wishlistBubble', 'wishlistBubbleCount', 'wishlistBubbleLabel'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.wishlistUpdate, this.#render);
+    this.#render();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.wishlistUpdate, this.#render);
+  }
+
+  /**
+   * Renders the wishlist bubble.
+   */
+  #render = () => {
+    const { wishlistBubble, wishlistBubbleCount, wishlistBubbleLabel } = this.refs;
+    const count = Wishlist.getProducts().length;
+
+    wishlistBubble.classList.toggle('visually-hidden', count === 0);
+    wishlistBubbleCount.classList.toggle('hidden', count === 0);
+    wishlistBubbleCount.textContent = count < 100 ? String(count) : '';
+    wishlistBubbleLabel.textContent = (wishlistBubbleLabel.dataset.template ?? '').replace('[count]', String(count));
+  };
+}
+
+if (!customElements.get('wishlist-icon')) {
+  customElements.define('wishlist-icon', WishlistIcon);
+}
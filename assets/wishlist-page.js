@@ -0,0 +1,112 @@
+import { Component } from '@theme/component';
+import { ThemeEvents } from '@theme/events';
+import { sectionRenderer } from '@theme/section-renderer';
+import { Wishlist } from '@theme/wishlist';
+
+/** @constant {number} The maximum number of products a search returns */
+const SEARCH_RESULTS_LIMIT = 50;
+
+/**
+ * A custom element that lists the wishlist products.
+ *
+ * The products are rendered by the `wishlist-products` section, fetched with a search for their IDs. Removing a
+ * product only removes its card, adding one, e.g. in another tab, fetches the list again.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLUListElement} list - The list of products.
+ * @property {HTMLElement} emptyState - The message shown when the wishlist is empty.
+ *
+ * @extends {Component<Refs>}
+ */
+class WishlistComponent extends Component {
+  requiredRefs = ['list', 'emptyState'];
+
+  /**
+   * Incremented on every fetch, so only the latest one is shown.
+   * @type {number}
+   */
+  #renderId = 0;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.wishlistUpdate, this.#render);
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.wishlistUpdate, this.#render);
+  }
+
+  /**
+   * Renders the wishlist products.
+   */
+  #render = async () => {
+    const { list, emptyState } = this.refs;
+    const productIds = Wishlist.getProducts();
+    const renderId = ++this.#renderId;
+
+    emptyState.hidden = productIds.length > 0;
+
+    /** @type {Map<string, HTMLElement>} */
+    const items = new Map();
+    for (const item of list.querySelectorAll('li[data-product-id]')) {
+      if (item instanceof HTMLElement && item.dataset.productId) items.set(item.dataset.productId, item);
+    }
+
+    if (productIds.every((id) => items.has(id))) {
+      for (const [id, item] of items) {
+        if (!productIds.includes(id)) item.remove();
+      }
+      return;
+    }
+
+    const elements = await this.#fetchItems(productIds);
+
+    if (renderId !== this.#renderId) return;
+
+    list.replaceChildren(...elements);
+  };
+
+  /**
+   * Fetches the product cards, searching for at most the number of products a search returns at a time.
+   * @param {string[]} productIds - The IDs of the products.
+   * @returns {Promise<Element[]>} The list items.
+   */
+  async #fetchItems(productIds) {
+    const { sectionId } = this.dataset;
+    if (!sectionId) return [];
+
+    /** @type {string[][]} */
+    const chunks = [];
+    for (let index = 0; index < productIds.length; index += SEARCH_RESULTS_LIMIT) {
+      chunks.push(productIds.slice(index, index + SEARCH_RESULTS_LIMIT));
+    }
+
+    const lists = await Promise.all(
+      chunks.map(async (ids) => {
+        const url = new URL(Theme.routes.search_url, location.origin);
+        url.searchParams.set('q', ids.map((id) => `id:${id}`).join(' OR '));
+        url.searchParams.set('resources[type]', 'product');
+
+        try {
+          const html = await sectionRenderer.getSectionHTML(sectionId, false, url);
+          const list = new DOMParser().parseFromString(html, 'text/html').getElementById('wishlist-products');
+
+          return list ? [...list.children] : [];
+        } catch (error) {
+          console.error(error);
+          return [];
+        }
+      })
+    );
+
+    return lists.flat();
+  }
+}
+
+if (!customElements.get('wishlist-component')) {
+  customElements.define('wishlist-component', WishlistComponent);
+}
@@ -0,0 +1,89 @@
+import { WishlistUpdateEvent } from '@theme/events';
+
+/**
+ * Updates the wishlist products in localStorage.
+ */
+export class Wishlist {
+  /** @static @constant {string} The key used to store the wishlist products in local storage */
+  static #STORAGE_KEY = 'wishlist';
+
+  /**
+   * Adds a product to the wishlist.
+   * @param {string} productId - The ID of the product to add.
+   */
+  static addProduct(productId) {
+    const products = this.getProducts().filter((id) => id !== productId);
+
+    this.#save([productId, ...products]);
+  }
+
+  /**
+   * Removes a product from the wishlist.
+   * @param {string} productId - The ID of the product to remove.
+   */
+  static removeProduct(productId) {
+    this.#save(this.getProducts().filter((id) => id !== productId));
+  }
+
+  /**
+   * Adds a product to the wishlist, or removes it if it's already there.
+   * @param {string} productId - The ID of the product.
+   * @returns {boolean} Whether the product is in the wishlist now.
+   */
+  static toggleProduct(productId) {
+    const hasProduct = this.hasProduct(productId);
+
+    if (hasProduct) {
+      this.removeProduct(productId);
+    } else {
+      this.addProduct(productId);
+    }
+
+    return !hasProduct;
+  }
+
+  /**
+   * @param {string} productId - The ID of the product.
+   * @returns {boolean} Whether the product is in the wishlist.
+   */
+  static hasProduct(productId) {
+    return this.getProducts().includes(productId);
+  }
+
+  static clearProducts() {
+    this.#save([]);
+  }
+
+  /**
+   * Retrieves the wishlist products, the most recently added first.
+   * @returns {string[]} The IDs of the products.
+   */
+  static getProducts() {
+    return JSON.parse(localStorage.getItem(this.#STORAGE_KEY) || '[]');
+  }
+
+  /**
+   * Handles the wishlist changing in another tab, which only fires a `storage` event in the other tabs.
+   * @param {StorageEvent} event - The storage event.
+   */
+  static handleStorage = (event) => {
+    if (event.key !== this.#STORAGE_KEY && event.key !== null) return;
+
+    document.dispatchEvent(new WishlistUpdateEvent(this.getProducts()));
+  };
+
+  /**
+   * @param {string[]} products - The IDs of the products to store.
+   */
+  static #save(products) {
+    if (products.length) {
+      localStorage.setItem(this.#STORAGE_KEY, JSON.stringify(products));
+    } else {
+      localStorage.removeItem(this.#STORAGE_KEY);
+    }
+
+    document.dispatchEvent(new WishlistUpdateEvent(products));
+  }
+}
+
+window.addEventListener('storage', Wishlist.handleStorage);